@@ -1,11 +1,250 @@
-import * as acorn from "./acorn.mjs";
-import * as periscopic from "./periscopic.mjs"
-
 const windowObj = typeof window === "undefined" ? null : window;
+
+/**
+ * Pick an integer uniformly from [0, range) using a source of uniform 32-bit words.
+ * Values falling in the incomplete bucket at the top of the space drawn from are rejected
+ * and redrawn, so no result is more likely than another. Ranges wider than 2^32 draw
+ * two words at a time, combined into a 53-bit value.
+ *
+ * @param {number} range - between 1 and 2^53 inclusive
+ * @param {() => number} nextUint32
+ * @returns {number}
+ */
+function uniformInt(range, nextUint32) {
+    if (!(range >= 1 && range <= 0x20000000000000) || !Number.isInteger(range)) {
+        throw new RangeError(`Cannot pick uniformly from a range of size ${range}`);
+    }
+    const wide = range > 0x100000000;
+    const space = wide ? 0x20000000000000 : 0x100000000;
+    const limit = space - space % range;
+    let value;
+    do {
+        value = wide ? (nextUint32() >>> 11) * 0x100000000 + nextUint32() : nextUint32();
+    } while (value >= limit);
+    return value % range;
+}
+
+function bytesToUint32(bytes) {
+    return ((bytes[0] << 24) | (bytes[1] << 16) | (bytes[2] << 8) | bytes[3]) >>> 0;
+}
+
+/**
+ * @typedef {Object} RandomSource
+ * @property {(min: number, max: number) => number} randomInt - uniform integer in [min, max)
+ */
+
+/**
+ * Random source backed by a user supplied byte generator
+ *
+ * @param {(count: number) => Uint8Array} randomBytes - returns {count} uniformly random bytes
+ * @returns {RandomSource}
+ */
+export function byteSource(randomBytes) {
+    return {
+        randomInt: (min, max) => min + uniformInt(max - min, () => bytesToUint32(randomBytes(4))),
+    };
+}
+
+/**
+ * The default source, backed by `crypto.getRandomValues`
+ *
+ * @returns {RandomSource}
+ */
+export function webCryptoSource() {
+    return byteSource(count => crypto.getRandomValues(new Uint8Array(count)));
+}
+
+/**
+ * Random source backed by `crypto.randomInt`, which does its own rejection sampling.
+ * It only takes ranges below 2^48, so wider ones draw from `crypto.randomBytes` instead.
+ *
+ * @param {typeof import("node:crypto")} nodeCrypto
+ * @returns {RandomSource}
+ */
+export function nodeCryptoSource(nodeCrypto) {
+    const wide = byteSource(count => nodeCrypto.randomBytes(count));
+    return {
+        randomInt: (min, max) => max - min < 0xFFFFFFFFFFFF ? nodeCrypto.randomInt(min, max) : wide.randomInt(min, max),
+    };
+}
+
+/**
+ * Hash a seed string into four 32-bit words (cyrb128)
+ *
+ * @param {string} seed
+ * @returns {number[]}
+ */
+function hashSeed(seed) {
+    let h1 = 1779033703, h2 = 3144134277, h3 = 1013904242, h4 = 2773480762;
+    for (let i = 0; i < seed.length; i++) {
+        const code = seed.charCodeAt(i);
+        h1 = h2 ^ Math.imul(h1 ^ code, 597399067);
+        h2 = h3 ^ Math.imul(h2 ^ code, 2869860233);
+        h3 = h4 ^ Math.imul(h3 ^ code, 951274213);
+        h4 = h1 ^ Math.imul(h4 ^ code, 2716044179);
+    }
+    h1 = Math.imul(h3 ^ (h1 >>> 18), 597399067);
+    h2 = Math.imul(h4 ^ (h2 >>> 22), 2869860233);
+    h3 = Math.imul(h1 ^ (h3 >>> 17), 951274213);
+    h4 = Math.imul(h2 ^ (h4 >>> 19), 2716044179);
+    h1 ^= h2 ^ h3 ^ h4;
+    return [h1 >>> 0, (h2 ^ h1) >>> 0, (h3 ^ h1) >>> 0, (h4 ^ h1) >>> 0];
+}
+
+/**
+ * Deterministic random source (sfc32) for reproducible fixtures and tests.
+ * NOT cryptographically secure: anyone who knows the seed knows every output.
+ *
+ * @param {string} seed
+ * @returns {RandomSource}
+ */
+function seededSource(seed) {
+    const state = hashSeed(String(seed));
+    const next = () => {
+        const result = (state[0] + state[1] | 0) + state[3] | 0;
+        state[3] = state[3] + 1 | 0;
+        state[0] = state[1] ^ state[1] >>> 9;
+        state[1] = state[2] + (state[2] << 3) | 0;
+        state[2] = (state[2] << 21 | state[2] >>> 11) + result | 0;
+        return result >>> 0;
+    };
+    return {
+        randomInt: (min, max) => min + uniformInt(max - min, next),
+    };
+}
+
+const secureSource = webCryptoSource();
+let randomSource = secureSource;
+let randomSeed = null;
+
+/**
+ * Switch to the deterministic, non-secure source, or back to the secure one when seed is null
+ *
+ * @param {string | null} seed
+ */
+function setSeed(seed) {
+    randomSeed = seed === null ? null : String(seed);
+    randomSource = randomSeed === null ? secureSource : seededSource(randomSeed);
+}
+
 function randRange(min, max) {
-    const range = max - min;
-    const rnd = crypto.getRandomValues(new Uint32Array(1))[0] / 0xffffffff;
-    return (Math.floor(min + rnd * range));
+    return randomSource.randomInt(min, max);
+}
+
+class RandomPoolExhausted extends Error {
+    constructor(size) {
+        super(`Random pool of ${size} bytes exhausted`);
+        this.size = size;
+    }
+}
+
+/**
+ * Random source reading from a fixed pool of bytes, throwing RandomPoolExhausted once it runs dry
+ *
+ * @param {Uint8Array} pool
+ * @returns {RandomSource}
+ */
+function poolSource(pool) {
+    let offset = 0;
+    return byteSource(count => {
+        if (offset + count > pool.length)
+            throw new RandomPoolExhausted(pool.length);
+        return pool.subarray(offset, offset += count);
+    });
+}
+
+function concatBytes(...parts) {
+    const output = new Uint8Array(parts.reduce((acc, x) => acc + x.length, 0));
+    parts.reduce((offset, x) => (output.set(x, offset), offset + x.length), 0);
+    return output;
+}
+
+async function hmacSha256(key, data) {
+    const cryptoKey = await crypto.subtle.importKey("raw", key, {name: "HMAC", hash: "SHA-256"}, false, ["sign"]);
+    return new Uint8Array(await crypto.subtle.sign("HMAC", cryptoKey, data));
+}
+
+/**
+ * HMAC_DRBG over SHA-256 (NIST SP 800-90A) built on WebCrypto
+ */
+class HmacDrbg {
+    constructor() {
+        this.key = new Uint8Array(32);
+        this.value = new Uint8Array(32).fill(1);
+    }
+
+    static async instantiate(seedMaterial) {
+        const drbg = new HmacDrbg();
+        await drbg.update(seedMaterial);
+        return drbg;
+    }
+
+    async update(providedData = new Uint8Array(0)) {
+        this.key = await hmacSha256(this.key, concatBytes(this.value, [0], providedData));
+        this.value = await hmacSha256(this.key, this.value);
+        if (!providedData.length) return;
+        this.key = await hmacSha256(this.key, concatBytes(this.value, [1], providedData));
+        this.value = await hmacSha256(this.key, this.value);
+    }
+
+    async generate(length) {
+        const output = new Uint8Array(length);
+        for (let offset = 0; offset < length; offset += this.value.length) {
+            this.value = await hmacSha256(this.key, this.value);
+            output.set(this.value.subarray(0, length - offset), offset);
+        }
+        await this.update();
+        return output;
+    }
+}
+
+/**
+ * @typedef {Object} SiteInfo
+ * @property {string} site - e.g. "example.com"
+ * @property {string} [login]
+ * @property {number} [counter] - bump to rotate the credential
+ */
+
+/**
+ * Stretch the master passphrase into a 256-bit seed bound to a site/login/counter tuple
+ *
+ * @param {string} master
+ * @param {SiteInfo} siteInfo
+ * @returns {Promise<Uint8Array>}
+ */
+async function deriveSiteSeed(master, {site, login = "", counter = 1}) {
+    const encoder = new TextEncoder();
+    const keyMaterial = await crypto.subtle.importKey("raw", encoder.encode(master), "PBKDF2", false, ["deriveBits"]);
+    const salt = encoder.encode(`rngzus\0${site}\0${login}\0${counter}`);
+    const bits = await crypto.subtle.deriveBits({name: "PBKDF2", hash: "SHA-256", salt, iterations: 100000}, keyMaterial, 256);
+    return new Uint8Array(bits);
+}
+
+const SITE_POOL_CHUNK = 1024;
+
+/**
+ * Evaluate {tree} with randomness drawn from an HMAC_DRBG seeded by the master passphrase and
+ * site tuple, so the same inputs regenerate the same credential on any machine.
+ *
+ * @param {RootNode} tree
+ * @param {string} master
+ * @param {SiteInfo} siteInfo
+ * @param {Policy} [policy] - regenerate from the same stream until the output complies
+ * @returns {Promise<string>}
+ */
+async function deriveSitePassword(tree, master, siteInfo, policy = null) {
+    const drbg = await HmacDrbg.instantiate(await deriveSiteSeed(master, siteInfo));
+    let pool = new Uint8Array(0);
+    for (;;) {
+        // the DRBG stream only ever grows, so a retry replays the same prefix
+        pool = concatBytes(pool, await drbg.generate(SITE_POOL_CHUNK));
+        try {
+            const source = poolSource(pool);
+            return policy ? policy.generate(tree, source).password : tree.evaluate(source);
+        } catch (ex) {
+            if (!(ex instanceof RandomPoolExhausted)) throw ex;
+        }
+    }
 }
 
 /**
@@ -18,94 +257,375 @@ function sample(input) {
     return input[randRange(0, input.length)];
 }
 
-function getRawJson(ast) {
-    return JSON.stringify(ast, (k,v) => {
-        return k === "loc" || k === "start" || k === "end" ? undefined : v
-    })
+/**
+ * Fisher–Yates shuffle, in place
+ *
+ * @template T
+ * @param {T[]} items
+ * @returns {T[]}
+ */
+function shuffle(items) {
+    for (let index = items.length - 1; index > 0; index--) {
+        const swap = randRange(0, index + 1);
+        [items[index], items[swap]] = [items[swap], items[index]];
+    }
+    return items;
+}
+
+function toUpperCase(str) {
+    return str.toUpperCase();
 }
 
-Array.prototype.iter = function() {
-    return Iterator.from(this);
+function toLowerCase(str) {
+    return str.toLowerCase();
 }
 
-const IteratorPrototype =
-  Object.getPrototypeOf(
-    Object.getPrototypeOf(
-      [][Symbol.iterator]()
-    )
-  );
+function toTitleCase(str) {
+    return str.replace(/(^|[^A-Za-z])([a-z])/g, (_, before, letter) => before + letter.toUpperCase());
+}
 
-IteratorPrototype.enumerate = function* () {
-    let o,i = 0;
-    while (!(o = this.next()).done) {
-        yield [i++, o.value];
-    }
+function toLeet(str) {
+    return str.replace(/[aeiost]/gi, letter => "431057"["aeiost".indexOf(letter.toLowerCase())]);
 }
 
-IteratorPrototype.interleave = function* (other) {
-    const iters = [this, other];
-    let o,c = 1;
-    while (!(o = iters[c ^= 1].next()).done) {
-        yield o.value;
-    }
+/**
+ * @typedef {Object} StringTransform
+ * @property {(str: string) => string} apply
+ * @property {boolean} charwise - maps each character independently of its neighbours
+ * @property {boolean} [ignoresCase] - gives the same output for strings that differ only in case
+ * @property {boolean} [caseOnly] - changes nothing but the case of letters
+ */
+
+/**
+ * Postfix `!name` modifiers for groups
+ *
+ * @type {Object<string, StringTransform>}
+ */
+const stringTransforms = {
+    upper: { apply: toUpperCase, charwise: true, ignoresCase: true },
+    lower: { apply: toLowerCase, charwise: true, ignoresCase: true },
+    title: { apply: toTitleCase, charwise: false, caseOnly: true },
+    leet: { apply: toLeet, charwise: true },
+};
+
+function applyTransforms(str, transforms) {
+    return transforms.reduce((acc, x) => x.apply(acc), str);
 }
 
-IteratorPrototype.log = function *() {
-    let o;
-    while (!(o = this.next()).done) {
-        console.log(o.value);
-        yield o.value;
+/**
+ * @param {Map<string, number>} outcomes
+ * @param {StringTransform[]} transforms
+ * @returns {Map<string, number>}
+ */
+function transformOutcomes(outcomes, transforms) {
+    if (!transforms.length)
+        return outcomes;
+
+    const transformed = new Map();
+    for (const [outcome, p] of outcomes) {
+        const key = applyTransforms(outcome, transforms);
+        transformed.set(key, (transformed.get(key) || 0) + p);
     }
+    return transformed;
 }
 
-IteratorPrototype.tagAll = function (tag) {
-    return this.map(x=>[tag, x])
+/**
+ * Pick an index with probability proportional to its weight
+ *
+ * @param {number[]} weights - positive integers
+ * @returns {number}
+ */
+function weightedIndex(weights) {
+    let pick = randRange(0, weights.reduce((acc, weight) => acc + weight, 0));
+    let index = 0;
+    while (pick >= weights[index]) {
+        pick -= weights[index++];
+    }
+    return index;
 }
 
-IteratorPrototype.groupBy = function(keyFn) {
-    return Object.groupBy(this, keyFn);
+/**
+ * Shannon entropy, in bits, of a discrete distribution
+ *
+ * @param {Iterable<number>} probabilities
+ * @returns {number}
+ */
+function distributionEntropy(probabilities) {
+    let bits = 0;
+    for (const p of probabilities) {
+        if (p > 0) bits -= p * Math.log2(p);
+    }
+    return bits;
 }
 
-IteratorPrototype.join = function (separator="") {
-    let o,acc=this.next().value?.toString()||"";
+/**
+ * Merge weighted outcome distributions into a single distribution
+ *
+ * @param {[number, Map<string, number>][]} weighted - pairs of (weight, distribution)
+ * @returns {Map<string, number>}
+ */
+function mixDistributions(weighted) {
+    const total = weighted.reduce((acc, [w]) => acc + w, 0);
+    const mixed = new Map();
+    for (const [weight, distribution] of weighted) {
+        for (const [outcome, p] of distribution) {
+            mixed.set(outcome, (mixed.get(outcome) || 0) + p * weight / total);
+        }
+    }
+    return mixed;
+}
 
-    while (!(o = this.next()).done) {
-        acc += separator + o.value?.toString()
+function factorial(n) {
+    let result = 1n;
+    for (let k = 2n; k <= BigInt(n); k++) {
+        result *= k;
     }
+    return result;
+}
 
-    return acc;
+function log2BigInt(value) {
+    const digits = value.toString();
+    const leading = digits.slice(0, 15);
+    return Math.log2(Number(leading)) + (digits.length - leading.length) * Math.log2(10);
 }
 
-function walkTree(node, callback, filter=()=>true, maxDepth = Infinity, depth = 0, ...path) {
-    depth = depth + 1;
-    Object.entries(node).forEach(([key, value]) => {
-        if (Array.isArray(value)) {
-            value.values().enumerate().filter(([i,v])=>filter(v, node.type, [...path, key, i])).forEach(([i, x])=>callback(x, depth, node.type, [...path, key, i]));
+function formatKeyspace(keyspace) {
+    const digits = keyspace.toString();
+    if (digits.length <= 24) return digits;
+    return `${digits[0]}.${digits.slice(1, 5)}e+${digits.length - 1}`;
+}
 
-            if (depth < maxDepth)
-                value.forEach((node, index) => walkTree(node, callback, filter, maxDepth, depth, ...path, key, index));
-        } else if (typeof value === "object" && value !== null) {
-            if (filter(value, node.type, [...path, key]))
-                callback(value, depth, node.type, [...path, key]);
+const MAX_ENUMERABLE_OUTCOMES = 1 << 16;
 
-            if (depth < maxDepth)
-                walkTree(value, callback, filter, maxDepth, depth, ...path, key);
-        }
-    })
+/**
+ * Alternate items of {first} and {second}, starting with {first} and stopping
+ * as soon as the array whose turn it is runs out
+ *
+ * @template T
+ * @param {T[]} first
+ * @param {T[]} second
+ * @returns {T[]}
+ */
+function interleave(first, second) {
+    const output = [];
+    for (let i = 0; i < first.length; i++) {
+        output.push(first[i]);
+        if (i >= second.length)
+            break;
+        output.push(second[i]);
+    }
+    return output;
 }
 
-let fs;
-function getSource() {
+// looked up rather than imported so the module still loads in browsers and bundlers.
+// process.getBuiltinModule, like the iterator helpers used throughout, needs Node 22.3 or later.
+const fs = globalThis.process?.getBuiltinModule?.("node:fs");
+const vm = globalThis.process?.getBuiltinModule?.("node:vm");
+
+/**
+ * Synchronously read a file from disk in Node, or fetch a URL in the browser
+ *
+ * @param {string | URL} resource
+ * @returns {string}
+ */
+function readResource(resource) {
     if (windowObj) {
         const req = new XMLHttpRequest()
-        req.open("GET", import.meta.url, false)
+        req.open("GET", resource, false)
         req.send()
+        if (req.status >= 400)
+            throw new Error(`Failed to load ${resource}: ${req.status} ${req.statusText}`)
         return req.responseText
     }
 
-    return fs.readFileSync(import.meta.url.replace("file:///", ""), "utf-8");
+    return fs.readFileSync(resource, "utf-8");
+}
+
+const bundledWordlists = {
+    "eff": "./wordlists/eff_large_wordlist.txt",
+    "eff-short": "./wordlists/eff_short_wordlist_1.txt",
+};
+
+const wordlists = new Map();
+
+/**
+ * One word per line; leading columns such as diceware roll numbers are dropped
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+function parseWordlist(text) {
+    return text.split(/\r?\n/)
+        .map(line => line.trim().split(/\s+/).pop())
+        .filter(word => word);
+}
+
+/**
+ * @param {string} name
+ * @param {string[]} words
+ */
+function registerWordlist(name, words) {
+    if (!words.length)
+        throw new Error(`Wordlist '${name}' is empty`);
+    wordlists.set(name, words);
+}
+
+/**
+ * Resolve a wordlist token: a registered name, a bundled list, or `file:<path or URL>`
+ *
+ * @param {string} spec
+ * @returns {string[]}
+ */
+function loadWordlist(spec) {
+    if (!wordlists.has(spec)) {
+        const resource = spec.startsWith("file:") ?
+            spec.substring("file:".length) :
+            bundledWordlists[spec] && new URL(bundledWordlists[spec], import.meta.url);
+        if (!resource)
+            throw new Error(`Unknown wordlist '${spec}'`);
+        registerWordlist(spec, parseWordlist(readResource(resource)));
+    }
+
+    return wordlists.get(spec);
+}
+
+/**
+ * Set membership with no false negatives and a tunable rate of false positives,
+ * using double hashing over the cyrb128 words of each item
+ */
+class BloomFilter {
+    constructor(size, hashes) {
+        this.size = size;
+        this.hashes = hashes;
+        this.bits = new Uint8Array(Math.ceil(size / 8));
+        this.count = 0;
+    }
+
+    /**
+     * @param {number} capacity - number of items that will be added
+     * @param {number} [falsePositiveRate]
+     * @returns {BloomFilter}
+     */
+    static forCapacity(capacity, falsePositiveRate = 1e-6) {
+        const size = Math.ceil(-Math.max(capacity, 1) * Math.log(falsePositiveRate) / Math.LN2 ** 2);
+        return new BloomFilter(size, Math.max(1, Math.round(size / Math.max(capacity, 1) * Math.LN2)));
+    }
+
+    positions(item) {
+        const [h1, h2] = hashSeed(item);
+        return Array.from({length: this.hashes}, (_, i) => (h1 + i * ((h2 | 1) >>> 0)) % this.size);
+    }
+
+    add(item) {
+        this.positions(item).forEach(x => this.bits[x >> 3] |= 1 << (x & 7));
+        this.count++;
+    }
+
+    has(item) {
+        return this.positions(item).every(x => this.bits[x >> 3] & (1 << (x & 7)));
+    }
+
+    get falsePositiveRate() {
+        return (1 - Math.exp(-this.hashes * this.count / this.size)) ** this.hashes;
+    }
+
+    toJSON() {
+        const bits = btoa(Array.from(this.bits, x => String.fromCharCode(x)).join(""));
+        return { size: this.size, hashes: this.hashes, count: this.count, bits };
+    }
+
+    /**
+     * @param {{size: number, hashes: number, count: number, bits: string}} json - from `toJSON`
+     * @returns {BloomFilter}
+     */
+    static fromJSON({ size, hashes, count, bits }) {
+        const filter = new BloomFilter(size, hashes);
+        const bytes = atob(bits);
+        if (bytes.length !== filter.bits.length)
+            throw new Error(`Bloom filter of ${size} bits cannot hold ${bytes.length} bytes`);
+        filter.bits.forEach((_, i) => filter.bits[i] = bytes.charCodeAt(i));
+        filter.count = count;
+        return filter;
+    }
+}
+
+// prebuilt filters, written with `JSON.stringify(loadBlocklist("<list>.txt"))`
+const bundledBlocklists = {
+    "common": "./wordlists/common_passwords.bloom.json",
+};
+
+/**
+ * Passwords to screen generated output against, compared without regard to case
+ */
+class Blocklist {
+    /**
+     * @param {string} name
+     * @param {BloomFilter} filter - holding the passwords in lowercase
+     */
+    constructor(name, filter) {
+        this.name = name;
+        this.filter = filter;
+    }
+
+    /**
+     * @param {string} name
+     * @param {string[]} passwords
+     * @returns {Blocklist}
+     */
+    static fromPasswords(name, passwords) {
+        const filter = BloomFilter.forCapacity(passwords.length);
+        passwords.forEach(x => filter.add(x.toLowerCase()));
+        return new Blocklist(name, filter);
+    }
+
+    has(password) {
+        return this.filter.has(password.toLowerCase());
+    }
+
+    toJSON() {
+        return this.filter.toJSON();
+    }
+
+    toString() {
+        return `${this.name} (${this.filter.count} entries, false positive rate ${this.filter.falsePositiveRate.toExponential(1)})`;
+    }
+}
+
+const blocklists = new Map();
+
+/**
+ * Load a blocklist: a bundled name, or a path or URL of either a filter saved as `.json` or a
+ * list with one password per line
+ *
+ * @param {string} spec
+ * @returns {Blocklist}
+ */
+export function loadBlocklist(spec) {
+    if (!blocklists.has(spec)) {
+        const bundled = Object.hasOwn(bundledBlocklists, spec);
+        const resource = bundled ? new URL(bundledBlocklists[spec], import.meta.url) : spec;
+        const text = readResource(resource);
+        if (bundled || spec.endsWith(".json")) {
+            blocklists.set(spec, new Blocklist(spec, BloomFilter.fromJSON(JSON.parse(text))));
+        } else {
+            const passwords = text.split(/\r?\n/).map(x => x.trim()).filter(x => x);
+            if (!passwords.length)
+                throw new Error(`Blocklist '${spec}' is empty`);
+            blocklists.set(spec, Blocklist.fromPasswords(spec, passwords));
+        }
+    }
+
+    return blocklists.get(spec);
 }
 
+/**
+ * Blocklist every generated password is screened against, set with `:blocklist`
+ *
+ * @type {Blocklist | null}
+ */
+let activeBlocklist = null;
+
+
 function getCallerInfo() {
     const err = new Error();
     const stackLines = err.stack.split("\n");
@@ -167,6 +687,75 @@ const alphabet = [
 	...Array.from({length:26}, (_,i) => String.fromCharCode(65 + i))
 ]
 
+// short words the minifier could otherwise produce as identifiers
+const reservedWords = new Set([
+    "do", "if", "in", "for", "let", "new", "try", "var", "NaN", "case", "else", "enum", "eval",
+    "null", "this", "true", "void", "with", "await", "break", "catch", "class", "const", "false",
+    "super", "throw", "while", "yield",
+]);
+
+/**
+ * The {index}th identifier in the sequence a, b, ..., Z, aa, ab, ...
+ *
+ * @param {number} index
+ * @returns {string}
+ */
+function minifiedIdentifier(index) {
+    let name = "";
+    for (index++; index > 0; index = Math.floor((index - 1) / alphabet.length))
+        name = alphabet[(index - 1) % alphabet.length] + name;
+    return name;
+}
+
+/**
+ * @typedef {Object} RuntimeHelper
+ * @property {string} name - identifier of the helper, both here and in compiled code
+ * @property {Function} [func] - for functions, the module function it stands for
+ * @property {string[]} dependencies - names of the helpers it refers to
+ * @property {[string[], ...string[]]} [body] - for helpers not emitted as their function's own source,
+ * that source split around references to other helpers, followed by the names of those helpers
+ * @property {string} [params] - with {body}, the parenthesized parameter list
+ * @property {"let" | "const"} [kind] - for variables
+ */
+
+/**
+ * Module-level code that compiled patterns may call. Functions are emitted as their own source
+ * text under their own names, whatever a bundler renames them to, so each may refer to nothing
+ * but the globals every realm has and the helpers listed with it.
+ *
+ * @type {Map<string, RuntimeHelper>}
+ */
+const runtimeHelpers = new Map([
+    [uniformInt, []],
+    [bytesToUint32, []],
+    [byteSource, [uniformInt, bytesToUint32]],
+    [webCryptoSource, [byteSource]],
+    [hashSeed, []],
+    [seededSource, [hashSeed, uniformInt]],
+    [sample, [randRange]],
+    [shuffle, [randRange]],
+    [weightedIndex, [randRange]],
+    [toUpperCase, []],
+    [toLowerCase, []],
+    [toTitleCase, []],
+    [toLeet, []],
+].map(([func, dependencies]) => [func.name, {name: func.name, func, dependencies: dependencies.map(x => x.name)}]));
+
+// randRange reads the module's random source, so compiled code gets one reading its own instead
+runtimeHelpers.set(randRange.name, {
+    name: randRange.name,
+    func: randRange,
+    dependencies: ["randomSource"],
+    params: "(min, max)",
+    body: [["{return ", ".randomInt(min, max)}"], "randomSource"],
+});
+runtimeHelpers.set("randomSource", {
+    name: "randomSource",
+    kind: "let",
+    dependencies: [webCryptoSource.name],
+    body: [["", "()"], webCryptoSource.name],
+});
+
 class CompileCache {
     constructor() {
         this.functionCache = new Map();
@@ -174,39 +763,74 @@ class CompileCache {
         this.variableMap = new Map();
         this.stringMap = new Map();
         this.stringPrefix = "string;"
-        this.namePattern = []
-        this.source = getSource();
-        this.sourceAst = acorn.parse(this.source, {
-            ecmaVersion: "latest",
-            sourceType: "module",
-        })
-        this.sourceAnalysis = periscopic.analyze(this.sourceAst);
-        this.sourceScope = this.sourceAnalysis.map.get(this.sourceAst);
+        this.identifierCount = 0;
+        this.bindings = new Map();
+        this.definitionNames = new Map();
     }
 
-    getNextIdentifier() {
-        let carry = true;
-        for (let i = this.namePattern.length - 1; carry && i >= 0; i--) {
-            carry = false;
-            this.namePattern[i]++;
-            if (this.namePattern[i] >= alphabet.length) {
-                this.namePattern[i] = 0;
-                carry = true;
-            }
-        }
-        if (carry) {
-            this.namePattern.unshift(0);
+    /**
+     * Emit {placeholder} as the initializer of the module variable {name}
+     * instead of the initializer in the helper registry
+     *
+     * @param {string} name
+     * @param {Placeholder} placeholder
+     */
+    bind(name, placeholder) {
+        this.bindings.set(name, placeholder);
+    }
+
+    /**
+     * Emit {tree} once as a shared helper that every reference to it calls
+     *
+     * @param {TreeNode} tree
+     * @returns {Placeholder} - the helper, to be called without arguments
+     */
+    definition(tree) {
+        if (!this.definitionNames.has(tree)) {
+            const name = `definition;${this.definitionNames.size}`;
+            this.definitionNames.set(tree, name);
+            const body = tree.compile(this);
+            // collected now so its hits are counted before the declarations are emitted
+            body.collect();
+            this.functionCache.set(name, {
+                name,
+                nameMinified: this.getNextIdentifier(),
+                params: "()",
+                body,
+                hits: 0,
+                block: false,
+            })
         }
-        const ret = this.namePattern.map(x => alphabet[x]).join('')
-        return ret
+
+        return new PlaceholderSingle(this.registerHit(this.definitionNames.get(tree)));
+    }
+
+    /**
+     * @param {string} name - module variable
+     * @returns {string | null} - its minified identifier, or null if the compiled code does not use it
+     */
+    variableIdentifier(name) {
+        const v = this.variableMap.get(name);
+        return v?.hits ? v.identifiers[name] : null;
+    }
+
+    getNextIdentifier() {
+        let name;
+        do {
+            name = minifiedIdentifier(this.identifierCount++);
+        } while (reservedWords.has(name) || runtimeHelpers.has(name));
+        return name;
     }
 
     getOrInsertFunction(func) {
-        if (!this.functionCache.has(func.name)) {
-            this.insertFunction(func)
+        const name = func.name;
+        if (runtimeHelpers.get(name)?.func !== func)
+            throw new Error(`'${name}' is not a runtime helper`);
+        if (!this.functionCache.has(name)) {
+            this.insertHelper(name)
         }
 
-        return this.functionCache.get(func.name)
+        return this.functionCache.get(name)
     }
 
     hasIdentifier(name) {
@@ -217,10 +841,6 @@ class CompileCache {
         return this.variableMap.has(name) || this.functionCache.has(name);
     }
 
-    registerVariableHit(name, hits=1) {
-        this.variableMap.get(name).hits += hits;
-    }
-
     registerHit(item, hits=1) {
         // const name = typeof item === "function" ? this.getOrInsertFunction(item).name : item;
         // (this.functionCache.get(name) || this.variableMap.get(name) || this.stringMap.get(name)).hits += hits;
@@ -241,221 +861,110 @@ class CompileCache {
         return item;
     }
 
-    parseFunction(func) {
-        let ast = acorn.parse(func.toString(), {
-            ecmaVersion: "latest",
-            sourceType: "script",
-        });
-        ast = ast.body[0].expression || ast.body[0];
-        const json = getRawJson(ast);
-        walkTree(this.sourceAst, x=>ast=x, x=>getRawJson(x) === json);
-
-        return ast;
-    }
+    /**
+     * Emit the runtime helper {name}, along with every helper it depends on
+     *
+     * @param {string} name
+     */
+    insertHelper(name) {
+        const helper = runtimeHelpers.get(name);
+        if (!helper)
+            throw new Error(`'${name}' is not a runtime helper`);
 
-    isGlobal(name) {
-        try {
-            return globalThis.hasOwnProperty(name) || globalThis === eval(name);
-        } catch {
-            return false;
+        if (helper.kind) {
+            const identifier = this.getNextIdentifier();
+            const v = {
+                declarations: identifier,
+                init: this.bindings.get(name) ?? helper.body,
+                kind: helper.kind,
+                identifiers: {[name]: identifier},
+                hits: 0,
+            }
+            this.variableMap.set(name, v);
+            this.variableCache.add(v);
+            // a bound initializer replaces the helper's own, along with its dependencies
+            if (this.bindings.has(name))
+                return;
+        } else {
+            // declared under their own names, as other helpers' source calls them by those
+            this.functionCache.set(name, {
+                name,
+                nameMinified: name,
+                params: helper.params,
+                body: helper.body,
+                declaration: helper.body ? null : String(helper.func),
+                hits: 0,
+                block: true,
+                named: true,
+            })
         }
-    }
-
-    analyzeFunctionAst(funcAst) {
-        const {map, declarations, globals} = periscopic.analyze(funcAst);
-        const dependencyNames = new Set(globals.values().map(x=>x.name).filter(x=>!this.isGlobal(x)))
-        const dependencies = {}
 
-        walkTree(
-            funcAst,
-            x=>(dependencies[x.name] || (dependencies[x.name] = [])).push(x),
-            x=>x.type === "Identifier" && dependencyNames.has(x.name)
-        )
-
-        return {
-            map,
-            declarations,
-            dependencies,
-        }
-    }
-
-    insertFunction(func, name, collectDependencies=true) {
-        name ||= func.name;
-        let funcAst = typeof func === "function" ? this.parseFunction(func) : func;
-        let funcAnalysis = this.analyzeFunctionAst(funcAst);
-        let functionParts = this.getFunctionParts(funcAst, funcAnalysis);
-        this.functionCache.set(name, {
-            name,
-            nameMinified: this.getNextIdentifier(),
-            params: functionParts.params,
-            body: functionParts.body,
-            hits: 0,
-            dependencies: funcAnalysis.dependencies,
-            block: funcAst.body.type === "BlockStatement",
-            __cached_func: true,
-        })
-        if (collectDependencies) {
-            this.collectDependencies(funcAst, funcAnalysis);
-        }
-    }
-
-    walkIdentifiers(ast, visit=console.log, enter=()=>{}, exit=()=>{}) {
-        switch (ast.type) {
-            case "ObjectPattern":
-                enter('{');
-                ast.properties.forEach(x=>this.walkIdentifiers(x, visit, enter, exit));
-                exit('}');
-                break;
-            case "ArrayPattern":
-                enter('[');
-                ast.elements.forEach(x=>this.walkIdentifiers(x, visit, enter, exit));
-                exit(']');
-                break;
-            case "Property":
-                enter(`${ast.key.name}:`);
-                this.walkIdentifiers(ast.value, visit, enter, exit);
-                exit('');
-                break;
-            case "Identifier":
-                visit(ast.name);
-                break;
-            default:
-                throw new Error(`Unsupported AST type: ${ast.type}`);
+        for (const dependency of helper.dependencies) {
+            if (!this.hasIdentifier(dependency))
+                this.insertHelper(dependency);
+            this.registerHit(dependency);
         }
     }
 
-    insertVariable(ast) {
-        for (const declaration of ast.declarations) {
-            const init = declaration.init;
+    internString(input) {
+        const strNode = typeof input === "string" ? {value: input} : input;
+        if (!this.stringMap.has(strNode.value)) {
+            const name = this.getNextIdentifier();
             const v = {
-                declarations: "",
-                init: init ? this.source.slice(init.start, init.end) : null,
-                kind: ast.kind,
-                identifiers: {},
+                declarations: name,
+                init: JSON.stringify(strNode.value),
+                kind: "const",
+                identifiers: {'*': name},
                 hits: 0,
+                string: true,
             }
-            this.walkIdentifiers(declaration.id, x=> {
-                const ident = this.getNextIdentifier();
-                v.identifiers[x] = ident;
-                v.declarations += v.identifiers[x] + ",";
-                this.variableMap.set(x, v);
-            },x=>v.declarations+=x, x=> v.declarations+=x)
-            if (v.declarations.endsWith(',')) {
-                v.declarations = v.declarations.slice(0, -1);
-            }
+            this.stringMap.set(strNode.value, v);
             this.variableCache.add(v);
         }
+
+        return this.stringPrefix + strNode.value;
     }
 
-    insertAst(ast) {
-        switch (ast.type) {
-            case "FunctionDeclaration":
-            case "FunctionExpression":
-                this.insertFunction(ast, ast.id.name);
-                break;
-            case "VariableDeclaration":
-                this.insertVariable(ast);
-                break;
-            default:
-                throw new Error(`Unsupported AST type: ${ast.type}`);
-        }
-    }
-
-    collectDependencies(funcAst, funcAnalysis) {
-        const { map } = this.sourceAnalysis;
-        const funcScope = map.get(funcAst);
-        const { dependencies } = funcAnalysis;
-        Object.keys(dependencies)
-            .flatMap(x => {
-                const processed = this.hasIdentifier(x);
-                return processed || funcScope.has(x) ? [[processed, x]] : []
-            })
-            .forEach(([processed, x]) => {
-                if (!processed) {
-                    const value = funcScope.find_owner(x).declarations.get(x);
-                    this.insertAst(value);
-                }
-                this.registerHit(x, dependencies[x].length);
-            })
-    }
-
-    interpolateDependencies(funcAst, {dependencies}) {
-        const bodyStart = funcAst.body.start;
-        const bodyEnd = funcAst.body.end;
-        const flatDependencies = [...Object.entries(dependencies).iter().flatMap(([dep, instances], i)=>instances.iter().tagAll(dep))]
-        flatDependencies.sort((a, b) => a[1].start - b[1].start);
-        const body = []
-        const interpolated = []
-
-        let lastEnd = bodyStart;
-        flatDependencies.forEach(([dep, instance]) => {
-            body.push(this.source.slice(lastEnd, dbg(instance, 'interp.instance').start));
-            interpolated.push(dep);
-            lastEnd = instance.end;
-        });
-        body.push(this.source.slice(lastEnd, bodyEnd));
-
-        return [body, ...interpolated]
-    }
-
-    internString(input) {
-        const strNode = typeof input === "string" ? {value: input} : input;
-        if (!this.stringMap.has(strNode.value)) {
-            const name = this.getNextIdentifier();
-            const v = {
-                declarations: name,
-                init: `"${strNode.value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`,
-                kind: "const",
-                identifiers: {'*': name},
-                hits: 0,
-                string: true,
-            }
-            this.stringMap.set(strNode.value, v);
-            this.variableCache.add(v);
-        }
+    writeFunctionBody(funcInfo, writer) {
+        if (funcInfo.body instanceof Placeholder)
+            return funcInfo.body.write(this, writer);
 
-        return this.stringPrefix + strNode.value;
+        writer.append(this.resolveInterpolated(funcInfo.body));
     }
 
-    getStringsInterned(funcAst, {dependencies}) {
-        walkTree(funcAst, x=> {
-            const stringKey = this.internString(x);
-            (dependencies[stringKey] || (dependencies[stringKey] = [])).push(x)
-        }, x=>x.type === "Literal" && typeof x.value === "string");
+    resolveInterpolated([sparse, ...deps]) {
+        return interleave(sparse, deps.map(this.expandDependency.bind(this))).join("");
     }
 
-    getFunctionParts(funcAst, funcAnalysis) {
-        const params = funcAst.params?.length ? (()=>{
-            const startIdx = funcAst.params[0].start;
-            const endIdx = funcAst.params[funcAst.params.length - 1].end;
-            return `(${this.source.slice(startIdx, endIdx).trim()})`
-        })() : "()";
-
-        this.getStringsInterned(funcAst, funcAnalysis);
-        const body = this.interpolateDependencies(funcAst, funcAnalysis);
-
-        return {
-            params,
-            body,
-        }
-    }
+    resolveVariableInit(v) {
+        if (v.init instanceof Placeholder)
+            return v.init.expand(this);
 
-    resolveFunctionBody(funcInfo) {
-        const [sparse, ...deps] = funcInfo.body;
-        return sparse.iter().interleave(deps.iter().map(this.expandDependency.bind(this))).join("");
+        return typeof v.init === "string" ? v.init : this.resolveInterpolated(v.init);
     }
 
+    /**
+     * @returns {CodeWriter}
+     */
     getDeclarationBlock() {
-        const allVars = this.variableCache.values().filter(x=> x.string ? x.hits > 1 : x.hits).groupBy(x=>x.kind);
-        const varStr = Object.keys(allVars).iter().map(ty=>`${ty} ${
-            allVars[ty].iter().map(x=>`${x.declarations}${x.init ? `=${x.init}` : ""}`).join(",")
+        const allVars = Object.groupBy(this.variableCache.values().filter(x=> x.string ? x.hits > 1 : x.hits), x=>x.kind);
+        const varStr = Object.keys(allVars).map(ty=>`${ty} ${
+            allVars[ty].map(x=>`${x.declarations}${x.init ? `=${this.resolveVariableInit(x)}` : ""}`).join(",")
         };`).join("")
 
-        const funcStr = this.functionCache.values().filter(x=>x.hits > 1).map(f => f.block ? `function ${f.nameMinified}${f.params}${this.resolveFunctionBody(f)}` : 
-            `const ${f.nameMinified}=${f.params}=>${this.resolveFunctionBody(f)};`
-        ).join("")
+        const writer = new CodeWriter().append(varStr);
+        for (const f of this.functionCache.values().filter(x => x.named ? x.hits : x.hits > 1)) {
+            if (f.declaration) {
+                writer.append(f.declaration);
+                continue;
+            }
+            writer.append(f.block ? `function ${f.nameMinified}${f.params}` : `const ${f.nameMinified}=${f.params}=>`);
+            this.writeFunctionBody(f, writer);
+            if (!f.block)
+                writer.append(";");
+        }
 
-        return `${varStr}${funcStr}`
+        return writer
     }
 
     expandDependency(name) {
@@ -474,19 +983,34 @@ class CompileCache {
         return name;
     }
 
+    writeDependency(name, writer) {
+        const funcInfo = this.functionCache.get(name);
+        if (funcInfo && funcInfo.hits < 2 && !funcInfo.named)
+            return this.writeAnon(funcInfo, writer);
+
+        writer.append(this.expandDependency(name));
+    }
+
     getFunctionInvocation(func) {
         func = typeof func === "function" ? func.name : func;
         const funcInfo = this.functionCache.get(func)
 
-        if (funcInfo.hits < 2) 
+        if (funcInfo.hits < 2 && !funcInfo.named)
             return this.anon(funcInfo);
 
         return funcInfo.nameMinified
     }
 
     anon(funcInfo) {
-        const body = this.resolveFunctionBody(funcInfo);
-        return `(${funcInfo.params}=>${body})`
+        const writer = new CodeWriter();
+        this.writeAnon(funcInfo, writer);
+        return writer.code
+    }
+
+    writeAnon(funcInfo, writer) {
+        writer.append(`(${funcInfo.params}=>`);
+        this.writeFunctionBody(funcInfo, writer);
+        writer.append(")");
     }
 
     processSingle(item) {
@@ -519,19 +1043,37 @@ class CompileCache {
     }
 
     process(strings, ...values) {
-        const valueIter = values.iter().map(v => this.processSingle(v));
-        return new PlaceholderTemplate(strings.iter(), valueIter);
+        const valueIter = Iterator.from(values).map(v => this.processSingle(v));
+        return new PlaceholderTemplate(strings, valueIter);
     }
 
     rawString(str) {
         return new PlaceholderLiteral(str);
     }
+
+    /**
+     * @param {TreeNode} node
+     * @param {Placeholder} placeholder - code compiled from {node}
+     * @returns {Placeholder} - {placeholder}, marked as coming from {node}'s span of the pattern
+     */
+    mapped(node, placeholder) {
+        return node.source === undefined ? placeholder : new PlaceholderMapped(node, placeholder);
+    }
 }
 
 class Placeholder {
     collect() {}
+    /**
+     * @param {CompileCache} cache
+     * @param {CodeWriter} writer
+     */
+    write(cache, writer) {
+        throw new Error("Must override write() method in subclass");
+    }
     expand(cache) {
-        throw new Error("Must override expand() method in subclass");
+        const writer = new CodeWriter();
+        this.write(cache, writer);
+        return writer.code;
     }
 }
 
@@ -540,14 +1082,14 @@ class PlaceholderLiteral extends Placeholder {
         super();
         this.value = value;
     }
-    expand(_) {
-        return this.value;
+    write(_, writer) {
+        writer.append(this.value);
     }
 }
 
 /***
  * @typedef {Object} PlaceholderTemplate
- * @property {Iterator<string>} strings - An iterator over the literal string segments of the template
+ * @property {string[]} strings - The literal string segments of the template
  * @property {Iterator<Placeholder>} placeholders - An iterator over the evaluated placeholder values of the template
  */
 class PlaceholderTemplate extends Placeholder {
@@ -562,11 +1104,11 @@ class PlaceholderTemplate extends Placeholder {
             return p;
         })];
     }
-    expand(cache) {
+    write(cache, writer) {
         if (!this.placeholderCache)
             this.collect();
 
-        return this.strings.interleave(this.placeholderCache.iter().map(p=>p.expand(cache))).join("");
+        interleave(this.strings, this.placeholderCache).forEach(x => typeof x === "string" ? writer.append(x) : x.write(cache, writer));
     }
 }
 
@@ -585,10 +1127,14 @@ class PlaceholderIterable extends Placeholder {
             return p;
         })];
     }
-    expand(cache) {
+    write(cache, writer) {
         if (!this.iteratorCache)
             this.collect();
-        return this.iteratorCache.map(v => v.expand(cache)).join(",");
+        this.iteratorCache.forEach((v, i) => {
+            if (i)
+                writer.append(",");
+            v.write(cache, writer);
+        });
     }
 }
 
@@ -601,12 +1147,209 @@ class PlaceholderSingle extends Placeholder {
         super();
         this.name = name;
     }
-    expand(cache) {
-        return cache.expandDependency(this.name);
+    write(cache, writer) {
+        cache.writeDependency(this.name, writer);
+    }
+}
+
+/***
+ * @typedef {Object} PlaceholderMapped
+ * @property {TreeNode} node - The node whose span of the pattern produced the code
+ * @property {Placeholder} placeholder - The code itself
+ */
+class PlaceholderMapped extends Placeholder {
+    constructor(node, placeholder) {
+        super();
+        this.node = node;
+        this.placeholder = placeholder;
     }
+    collect() {
+        this.placeholder.collect();
+    }
+    write(cache, writer) {
+        const region = writer.begin(this.node);
+        this.placeholder.write(cache, writer);
+        writer.end(region);
+    }
+}
+
+/**
+ * Generated code under construction, remembering which node produced each region of it
+ */
+class CodeWriter {
+    constructor() {
+        this.chunks = [];
+        this.length = 0;
+        /** @type {{start: number, end: number, node: TreeNode}[]} - in order of their start */
+        this.regions = [];
+    }
+
+    append(str) {
+        this.chunks.push(str);
+        this.length += str.length;
+        return this;
+    }
+
+    /**
+     * Append the code of {writer} along with its regions
+     *
+     * @param {CodeWriter} writer
+     */
+    include(writer) {
+        for (const region of writer.regions)
+            this.regions.push({...region, start: region.start + this.length, end: region.end + this.length});
+        return this.append(writer.code);
+    }
+
+    begin(node) {
+        const region = {start: this.length, end: this.length, node};
+        this.regions.push(region);
+        return region;
+    }
+
+    end(region) {
+        region.end = this.length;
+    }
+
+    get code() {
+        if (this.chunks.length > 1)
+            this.chunks = [this.chunks.join("")];
+        return this.chunks[0] ?? "";
+    }
+
+    toString() {
+        return this.code;
+    }
+}
+
+/**
+ * Tagged template joining strings and {CodeWriter}s into one writer that keeps their regions
+ *
+ * @returns {CodeWriter}
+ */
+function code(strings, ...values) {
+    const writer = new CodeWriter();
+    interleave(strings, values).forEach(x => x instanceof CodeWriter ? writer.include(x) : writer.append(String(x)));
+    return writer;
+}
+
+const base64Digits = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+
+function encodeVlq(value) {
+    let vlq = value < 0 ? (-value << 1) | 1 : value << 1;
+    let out = "";
+    do {
+        let digit = vlq & 31;
+        vlq >>>= 5;
+        if (vlq)
+            digit |= 32;
+        out += base64Digits[digit];
+    } while (vlq);
+    return out;
+}
+
+/**
+ * @param {string} text
+ * @returns {(offset: number) => [number, number]} - zero based line and column of an offset into {text}
+ */
+function lineColumns(text) {
+    const lineStarts = [0];
+    for (const match of text.matchAll(/\r\n?|\n|\u2028|\u2029/g))
+        lineStarts.push(match.index + match[0].length);
+
+    return offset => {
+        const line = lineStarts.findLastIndex(x => x <= offset);
+        return [line, offset - lineStarts[line]];
+    };
+}
+
+/**
+ * Version 3 source map linking the code in {writer} to the pattern text its nodes were parsed from.
+ * Code between mapped regions points back at the node enclosing it, or nowhere at the top level.
+ *
+ * @param {CodeWriter} writer
+ * @param {string} [mainSource] - text of the pattern, named {sourceName}
+ * @param {{file?: string, sourceName?: string}} [options]
+ * @returns {{version: 3, file?: string, sources: string[], sourcesContent: string[], names: string[], mappings: string}}
+ */
+function buildSourceMap(writer, mainSource, { file, sourceName = "pattern" } = {}) {
+    // definitions carry the text of their own `:def` line, and each one becomes a source of its own
+    const sources = mainSource === undefined ? [] : [mainSource];
+    const names = [];
+    const indexIn = (list, item) => {
+        const index = list.indexOf(item);
+        return index < 0 ? list.push(item) - 1 : index;
+    };
+
+    // the node mapped from each offset onwards, with nested regions handing back to their parent when they end
+    const events = [];
+    const open = [];
+    const close = until => {
+        while (open.length && open[open.length - 1].end <= until) {
+            const region = open.pop();
+            events.push([region.end, open[open.length - 1] ?? null]);
+        }
+    };
+    for (const region of writer.regions.filter(x => x.end > x.start)) {
+        close(region.start);
+        events.push([region.start, region]);
+        open.push(region);
+    }
+    close(Infinity);
+
+    const generatedPosition = lineColumns(writer.code);
+    const sourcePositions = new Map();
+    const lines = [];
+    const previous = {column: 0, source: 0, line: 0, sourceColumn: 0, name: 0};
+    events.forEach(([offset, region], i) => {
+        // only the last mapping from an offset takes effect
+        if (events[i + 1]?.[0] === offset)
+            return;
+
+        const [line, column] = generatedPosition(offset);
+        while (lines.length <= line) {
+            lines.push([]);
+            previous.column = 0;
+        }
+
+        const segment = [column - previous.column];
+        previous.column = column;
+        if (region) {
+            const { node } = region;
+            const source = indexIn(sources, node.source);
+            if (!sourcePositions.has(node.source))
+                sourcePositions.set(node.source, lineColumns(node.source));
+            const [sourceLine, sourceColumn] = sourcePositions.get(node.source)(node.spanStart);
+            const name = indexIn(names, node.constructor.name);
+            segment.push(source - previous.source, sourceLine - previous.line, sourceColumn - previous.sourceColumn, name - previous.name);
+            Object.assign(previous, {source, line: sourceLine, sourceColumn, name});
+        }
+        lines[line].push(segment.map(encodeVlq).join(""));
+    });
+
+    return {
+        version: 3,
+        ...(file === undefined ? {} : { file }),
+        sources: sources.map((x, i) => x === mainSource ? sourceName : `${sourceName}.definition${i}`),
+        sourcesContent: sources,
+        names,
+        mappings: lines.map(x => x.join(",")).join(";"),
+    };
+}
+
+/**
+ * @param {{version: 3}} map
+ * @returns {string} - a comment embedding {map}, to be appended to the code it describes
+ */
+function inlineSourceMap(map) {
+    const bytes = new TextEncoder().encode(JSON.stringify(map));
+    const base64 = btoa(Array.from(bytes, x => String.fromCharCode(x)).join(""));
+    return `//# sourceMappingURL=data:application/json;charset=utf-8;base64,${base64}`;
 }
 
-class ParseError extends Error {
+const DEFAULT_REPEAT_SPREAD = 8;
+
+export class ParseError extends Error {
     constructor(message, index) {
         super(message);
         this.index = index;
@@ -616,10 +1359,98 @@ class ParseError extends Error {
 class TreeNode {
     constructor() {
         this.count = 1;
+        this.maxCount = 1;
+        this.weight = 1;
+        this.presence = null;
     }
 
-    setCount(count) {
+    /**
+     * Make the node appear only some of the time
+     *
+     * @param {number} numerator
+     * @param {number} denominator - the node appears with probability numerator / denominator
+     */
+    setPresence(numerator, denominator) {
+        this.presence = [numerator, denominator];
+    }
+
+    get probability() {
+        return this.presence ? this.presence[0] / this.presence[1] : 1;
+    }
+
+    /**
+     * Relative likelihood of this node being picked within a `{}` sample group
+     *
+     * @param {number} weight - positive integer
+     */
+    setWeight(weight) {
+        this.weight = weight;
+    }
+
+    /**
+     * @param {number} count - fixed repeat count, or the lower bound of a variable one
+     * @param {number} [maxCount] - inclusive upper bound, picked uniformly per evaluation
+     */
+    setCount(count, maxCount = count) {
         this.count = count;
+        this.maxCount = maxCount;
+    }
+
+    get variableCount() {
+        return this.maxCount > this.count;
+    }
+
+    /**
+     * Stop the node from producing any of {chars}. Nodes that cannot be filtered in place
+     * return a replacement carrying the same modifiers.
+     *
+     * @param {string} chars
+     * @returns {TreeNode} - the node to use from now on
+     */
+    exclude(chars) {
+        return this;
+    }
+
+    /**
+     * @param {TreeNode} node
+     * @returns {TreeNode} - this node, with the count, weight, presence and pattern span of {node}
+     */
+    withModifiersOf(node) {
+        this.setCount(node.count, node.maxCount);
+        this.weight = node.weight;
+        this.presence = node.presence;
+        return this.withSpanOf(node);
+    }
+
+    /**
+     * Record that the node was parsed from {source}.slice({start}, {end})
+     *
+     * @param {string} source
+     * @param {number} start
+     * @param {number} end
+     */
+    setSpan(source, start, end) {
+        this.source = source;
+        this.spanStart = start;
+        this.spanEnd = end;
+        return this;
+    }
+
+    withSpanOf(node) {
+        return node.source === undefined ? this : this.setSpan(node.source, node.spanStart, node.spanEnd);
+    }
+
+    /**
+     * Equal for nodes that produce the same outputs in the same way, ignoring count, presence and weight
+     *
+     * @returns {string}
+     */
+    coreSignature() {
+        return this.constructor.name;
+    }
+
+    signature() {
+        return `${this.coreSignature()}<${this.count},${this.maxCount}>?${this.presence}:${this.weight}`;
     }
 
     /**
@@ -644,16 +1475,223 @@ class TreeNode {
         throw new Error ("Must override `compileSingle` method in subclass")
     }
 
+    /**
+     * Number of distinct strings a single evaluation of the node can produce,
+     * after applying {transforms} from enclosing groups.
+     * Must be overridden by nodes that cannot enumerate their outcomes.
+     *
+     * @param {StringTransform[]} [transforms]
+     * @returns {bigint}
+     */
+    keyspaceSingle(transforms = []) {
+        const outcomes = this.outcomesSingle(transforms);
+        if (!outcomes)
+            throw new Error("Must override `keyspaceSingle` method in subclass")
+        return BigInt(outcomes.size);
+    }
+
+    /**
+     * Shannon entropy, in bits, of a single evaluation of the node, after applying {transforms}.
+     * Must be overridden by nodes that cannot enumerate their outcomes.
+     *
+     * @param {StringTransform[]} [transforms]
+     * @returns {number}
+     */
+    entropySingle(transforms = []) {
+        const outcomes = this.outcomesSingle(transforms);
+        if (!outcomes)
+            throw new Error("Must override `entropySingle` method in subclass")
+        return distributionEntropy(outcomes.values());
+    }
+
+    /**
+     * Every string a single evaluation can produce, after applying {transforms},
+     * mapped to its probability, or null when the node is too large or too complex to enumerate
+     *
+     * @param {StringTransform[]} [transforms]
+     * @returns {Map<string, number> | null}
+     */
+    outcomesSingle(transforms = []) {
+        return null;
+    }
+
+    /**
+     * Number of distinct strings the node produces across {count} evaluations.
+     * An upper bound: strings that more than one sequence of parts can produce are counted once per sequence.
+     *
+     * @param {StringTransform[]} [transforms]
+     * @returns {bigint}
+     */
+    keyspace(transforms = []) {
+        // outputs of different lengths, including an absent optional node, are counted as distinct strings
+        const single = this.keyspaceSingle(transforms);
+        const absent = this.presence ? 1n : 0n;
+        // single^count + ... + single^maxCount, summed in closed form so wide ranges cost nothing extra
+        const repeats = BigInt(this.maxCount - this.count + 1);
+        if (single === 1n)
+            return absent + repeats;
+        return absent + single ** BigInt(this.count) * (single ** repeats - 1n) / (single - 1n);
+    }
+
+    /**
+     * Entropy, in bits, of {count} evaluations of the node
+     *
+     * @param {StringTransform[]} [transforms]
+     * @returns {number}
+     */
+    entropy(transforms = []) {
+        const lengthChoice = Math.log2(this.maxCount - this.count + 1);
+        const present = lengthChoice + this.entropySingle(transforms) * (this.count + this.maxCount) / 2;
+        const p = this.probability;
+        return this.presence ? distributionEntropy([p, 1 - p]) + p * present : present;
+    }
+
+    outcomes(transforms = []) {
+        const outcomes = this.count === 1 && !this.variableCount ? this.outcomesSingle(transforms) : null;
+        if (!outcomes || !this.presence)
+            return outcomes;
+
+        return mixDistributions([[1 - this.probability, new Map([["", 1]])], [this.probability, outcomes]]);
+    }
+
+    /**
+     * Shortest and longest output of a single evaluation
+     *
+     * @returns {[number, number]}
+     */
+    lengthBoundsSingle() {
+        return [1, 1];
+    }
+
+    /**
+     * Shortest and longest output across {count} evaluations
+     *
+     * @returns {[number, number]}
+     */
+    lengthBounds() {
+        const [min, max] = this.lengthBoundsSingle();
+        return [this.presence ? 0 : min * this.count, max * this.maxCount];
+    }
+
+    /**
+     * Every character a single evaluation can produce.
+     * Must be overridden by nodes that cannot enumerate their outcomes.
+     *
+     * @returns {Set<string>}
+     */
+    charsSingle() {
+        const outcomes = this.outcomesSingle();
+        if (!outcomes)
+            throw new Error("Must override `charsSingle` method in subclass")
+        return new Set([...outcomes.keys()].flatMap(x => [...x]));
+    }
+
+    chars() {
+        return this.maxCount ? this.charsSingle() : new Set();
+    }
+
+    /**
+     * Every distinct output of a single evaluation, or null when they cannot be listed
+     *
+     * @returns {string[] | null}
+     */
+    candidatesSingle() {
+        const outcomes = this.outcomesSingle();
+        return outcomes ? [...outcomes.keys()] : null;
+    }
+
+    /**
+     * Regular expression source matching exactly the outputs of {count} evaluations with
+     * {transforms} applied, or null when a regular expression cannot express them.
+     * The source can be concatenated with others without changing its meaning.
+     *
+     * @param {StringTransform[]} [transforms]
+     * @param {RegexScope} [scope]
+     * @returns {string | null}
+     */
+    regex(transforms = [], scope = { captures: new Map(), repeated: false, skippable: false }) {
+        const inner = {
+            ...scope,
+            skippable: scope.skippable || scope.repeated && (this.presence !== null || this.count === 0),
+            repeated: scope.repeated || this.maxCount > 1,
+        };
+        const single = this.regexSingle(transforms, inner);
+        if (single === null)
+            return null;
+
+        const body = this.count === 1 && this.maxCount === 1 ? single :
+            `${isRegexAtom(single) ? single : `(?:${single})`}{${this.count}${this.variableCount ? `,${this.maxCount}` : ""}}`;
+        return this.presence ? `${isRegexAtom(body) ? body : `(?:${body})`}?` : body;
+    }
+
+    /**
+     * @param {StringTransform[]} transforms
+     * @param {RegexScope} scope
+     * @returns {string | null}
+     */
+    regexSingle(transforms, scope) {
+        const candidates = this.candidatesSingle();
+        return candidates && regexAlternatives(candidates.map(x => applyTransforms(x, transforms)));
+    }
+
+    /**
+     * Every way {count} evaluations of the node can account for {target} from {pos} onwards
+     *
+     * @param {string} target
+     * @param {number} pos
+     * @param {Map<string, string>} captures - values captured before {pos}
+     * @param {MatchView} view
+     * @returns {Generator<[number, string, Map<string, string>]>} - where the evaluations end, what
+     * they output before the transforms of enclosing groups, and the captures after them
+     */
+    *match(target, pos, captures, view) {
+        if (this.presence)
+            yield [pos, "", captures];
+        yield* this.matchRepeat(target, pos, captures, view, this.count, this.maxCount);
+    }
+
+    // one evaluation at a time, merging the ways that reach the same state so repeats stay polynomial
+    *matchRepeat(target, pos, captures, view, min, max) {
+        let states = [[pos, "", captures]];
+        for (let i = 0; states.length; i++) {
+            if (i >= min)
+                yield* states;
+            if (i >= max)
+                return;
+            states = uniqueMatches(states.flatMap(([end, output, before]) =>
+                [...this.matchSingle(target, end, before, view)].map(([next, single, after]) => [next, output + single, after])));
+        }
+    }
+
+    *matchSingle(target, pos, captures, view) {
+        const candidates = this.candidatesSingle();
+        if (!candidates)
+            throw new Error("Must override `matchSingle` method in subclass")
+        yield* matchCandidates(candidates, target, pos, captures, view);
+    }
+
     /**
      * Evaluate the AST node {count} times and return result
      * 
      * @returns {string}
      */
     evaluate() {
-        return Array(this.count)
+        return this.evaluateEach().join("");
+    }
+
+    /**
+     * Evaluate the AST node {count} times and return each result separately
+     *
+     * @returns {string[]}
+     */
+    evaluateEach() {
+        if (this.presence && randRange(0, this.presence[1]) >= this.presence[0])
+            return [];
+
+        const count = this.variableCount ? randRange(this.count, this.maxCount + 1) : this.count;
+        return Array(count)
             .fill(0)
-            .map((_) => this.generate())
-            .join("");
+            .map((_) => this.generate());
     }
 
     /**
@@ -663,9 +1701,37 @@ class TreeNode {
      * @returns {Placeholder}
      */
     compile(cache) {
-        return this.count > 1 ? 
-            cache.process`Array(${this.count}).fill(0).map(_=>${this.compileSingle(cache)}).join('')` :
+        const body = this.count !== 1 || this.variableCount ? 
+            cache.process`${this.compileRepeat(cache)}.join('')` :
             this.compileSingle(cache)
+        return cache.mapped(this, this.compileOptional(cache, body, cache.rawString("''")))
+    }
+
+    /**
+     * Transpile AST to javascript returning an array of {count} separate results
+     *
+     * @param {CompileCache} cache
+     * @returns {Placeholder}
+     */
+    compileEach(cache) {
+        return cache.mapped(this, this.compileOptional(cache, this.compileRepeat(cache), cache.rawString("[]")))
+    }
+
+    compileOptional(cache, body, absent) {
+        if (!this.presence)
+            return body;
+
+        const [numerator, denominator] = this.presence;
+        return cache.process`(${randRange}(0,${denominator})<${numerator}?${body}:${absent})`
+    }
+
+    compileRepeat(cache) {
+        if (this.variableCount)
+            return cache.process`Array(${randRange}(${this.count},${this.maxCount + 1})).fill(0).map(_=>${this.compileSingle(cache)})`
+
+        return this.count !== 1 ?
+            cache.process`Array(${this.count}).fill(0).map(_=>${this.compileSingle(cache)})` :
+            cache.process`[${this.compileSingle(cache)}]`
     }
 }
 
@@ -683,6 +1749,25 @@ class LiteralNode extends TreeNode {
         // return `"${this.literal.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`
         return cache.process`${this.literal}`
     }
+
+    outcomesSingle(transforms = []) {
+        return transformOutcomes(new Map([[this.literal, 1]]), transforms);
+    }
+
+    lengthBoundsSingle() {
+        return [this.literal.length, this.literal.length];
+    }
+
+    exclude(chars) {
+        const found = [...this.literal].find(x => chars.includes(x));
+        if (found !== undefined)
+            throw new Error(`Literal "${this.literal}" contains the excluded character '${found}'`);
+        return this;
+    }
+
+    coreSignature() {
+        return `Literal${JSON.stringify(this.literal)}`;
+    }
 }
 
 class GroupNode extends TreeNode {
@@ -693,77 +1778,927 @@ class GroupNode extends TreeNode {
          */
         this.children = children;
         this.sequential = sequential;
+        /**
+         * @type {StringTransform[]}
+         */
+        this.transforms = [];
+        this.excluded = "";
     }
 
-    generate() {
-        return dbg(
-            this.sequential
-                ? this.children.map((token) => token.evaluate()).join("")
-                : sample(this.children).evaluate(),
-        );
+    /**
+     * @param {StringTransform} transform - applied to the group's output, after any added earlier
+     */
+    addTransform(transform) {
+        this.transforms.push(transform);
+        // characters excluded before the transform was added must stay out of its output too
+        if (this.excluded)
+            this.exclude(this.excluded);
     }
 
-    compileSingle(cache) {
-        // const arrStr = `[${this.children.map(x=>x.compile(cache)).join(',')}]`
-        // return this.sequential ? `${arrStr}.join('')` : `sample(${arrStr})`
+    exclude(chars) {
+        this.excluded = [...new Set(this.excluded + chars)].join("");
+        const childChars = this.transforms.length ? this.transformPreimage(chars) : chars;
+        this.children = this.children.map(x => x.exclude(childChars));
+        return this;
+    }
 
-        const arrCache = this.children.map(x=>x.compile(cache))
+    /**
+     * Characters the children must not produce for the transformed output to be free of {chars}.
+     * Transforms that depend on context, such as !title, count as possibly changing every character.
+     *
+     * @param {string} chars
+     * @returns {string}
+     */
+    transformPreimage(chars) {
+        const domain = new Set([...charClasses.print, ...chars, ...this.children.flatMap(x => [...x.chars()])]);
+        return [...domain]
+            .filter(x => [...looseImages(x, this.transforms)].some(image => [...image].some(c => chars.includes(c))))
+            .join("");
+    }
 
-        return this.sequential ?
-            cache.process`[${arrCache}].join('')` :
-            cache.process`${sample}(${arrCache})`
+    coreSignature() {
+        const transforms = this.transforms.map(x => Object.keys(stringTransforms).find(k => stringTransforms[k] === x));
+        return `${this.constructor.name}(${this.sequential}!${transforms})[${this.children.map(x => x.signature())}]`;
     }
-}
 
-class RootNode extends GroupNode {
-    constructor(children) {
-        super(children, true);
+    get weighted() {
+        return this.children.some(x => x.weight !== 1);
     }
-    toString() {
-        const cache = new CompileCache();
-        const body = this.compile(cache).expand(cache);
-        return cache.getDeclarationBlock() + body;
+
+    generate() {
+        return dbg(applyTransforms(this.generateGroup(), this.transforms));
     }
-}
 
-class SampleNode extends TreeNode {
+    generateGroup() {
+        if (this.sequential)
+            return this.children.map((token) => token.evaluate()).join("");
+
+        return this.weighted
+            ? this.children[weightedIndex(this.children.map(x => x.weight))].evaluate()
+            : sample(this.children).evaluate();
+    }
+
+    compileSingle(cache) {
+        return this.transforms.reduce((body, x) => cache.process`${x.apply}(${body})`, this.compileGroup(cache));
+    }
+
+    compileGroup(cache) {
+        // const arrStr = `[${this.children.map(x=>x.compile(cache)).join(',')}]`
+        // return this.sequential ? `${arrStr}.join('')` : `sample(${arrStr})`
+
+        if (this.sequential) {
+            if (this.children.length === 1)
+                return this.children[0].compile(cache);
+            const arrCache = this.children.map(x=>x.compile(cache))
+            return cache.process`[${arrCache}].join('')`
+        }
+
+        // only the chosen alternative is evaluated
+        const thunks = this.children.map(x=>cache.process`()=>${x.compile(cache)}`)
+        return this.weighted ?
+            cache.process`[${thunks}][${weightedIndex}([${this.children.map(x => x.weight)}])]()` :
+            cache.process`${sample}([${thunks}])()`
+    }
+
+    /**
+     * Transforms that can be pushed down to the children. Transforms that depend on
+     * context, such as title case, can only merge outputs, so leaving them out gives an upper bound.
+     */
+    childTransforms(transforms) {
+        return [...this.transforms, ...transforms].filter(x => x.charwise);
+    }
+
+    lengthBoundsSingle() {
+        const bounds = this.children.map(x => x.lengthBounds());
+        if (this.sequential)
+            return bounds.reduce(([min, max], [childMin, childMax]) => [min + childMin, max + childMax], [0, 0]);
+
+        return bounds.length ? [Math.min(...bounds.map(x => x[0])), Math.max(...bounds.map(x => x[1]))] : [0, 0];
+    }
+
+    charsSingle() {
+        const chars = new Set(this.children.flatMap(x => [...x.chars()]));
+        // a transform that depends on context may leave a character as it is
+        return this.transforms.reduce(
+            (acc, transform) => new Set([...acc].flatMap(x => transform.charwise ? [transform.apply(x)] : [x, transform.apply(x)])),
+            chars,
+        );
+    }
+
+    keyspaceSingle(transforms = []) {
+        const outcomes = this.outcomesSingle(transforms);
+        if (outcomes)
+            return BigInt(outcomes.size);
+
+        const childTransforms = this.childTransforms(transforms);
+        if (this.sequential)
+            return this.children.reduce((acc, x) => acc * x.keyspace(childTransforms), 1n);
+
+        // alternatives are assumed to produce disjoint sets of strings
+        return this.children.reduce((acc, x) => acc + x.keyspace(childTransforms), 0n);
+    }
+
+    entropySingle(transforms = []) {
+        const outcomes = this.outcomesSingle(transforms);
+        if (outcomes)
+            return distributionEntropy(outcomes.values());
+
+        const childTransforms = this.childTransforms(transforms);
+        if (this.sequential)
+            return this.children.reduce((acc, x) => acc + x.entropy(childTransforms), 0);
+
+        if (!this.children.length)
+            return 0;
+
+        const total = this.children.reduce((acc, x) => acc + x.weight, 0);
+        const choice = distributionEntropy(this.children.map(x => x.weight / total));
+        return choice + this.children.reduce((acc, x) => acc + x.entropy(childTransforms) * x.weight / total, 0);
+    }
+
+    outcomesSingle(transforms = []) {
+        // the output is exactly one child's output, so any transform can be applied to it
+        const all = [...this.transforms, ...transforms];
+        if (this.sequential)
+            return this.children.length === 1 ? this.children[0].outcomes(all) : null;
+
+        const distributions = this.children.map(x => x.outcomes(all));
+        if (!distributions.length || distributions.some(x => !x))
+            return null;
+
+        return mixDistributions(distributions.map((x, i) => [this.children[i].weight, x]));
+    }
+
+    regexSingle(transforms, scope) {
+        const [pushed, rest] = splitTransforms([...this.transforms, ...transforms]);
+        if (rest.length) {
+            // a transform that depends on context has to see whole outputs, so they are listed instead
+            const outcomes = hasCaptures(this) ? null : this.outcomesSingle(transforms);
+            return outcomes && regexAlternatives([...outcomes.keys()]);
+        }
+
+        const childScope = this.sequential ? scope : { ...scope, skippable: scope.skippable || scope.repeated };
+        const parts = [];
+        for (const child of this.children) {
+            const part = child.regex(pushed, childScope);
+            if (part === null)
+                return null;
+            parts.push(part);
+        }
+        return this.sequential ? parts.join("") : `(?:${parts.join("|")})`;
+    }
+
+    *matchSingle(target, pos, captures, view) {
+        const [transforms, rest] = splitTransforms([...this.transforms, ...view.transforms]);
+        const childView = { transforms, loose: [...rest, ...view.loose] };
+        for (const [end, output, after] of this.matchGroup(target, pos, captures, childView))
+            yield [end, applyTransforms(output, this.transforms), after];
+    }
+
+    *matchGroup(target, pos, captures, view) {
+        if (this.sequential)
+            return yield* matchSequence(this.children, target, pos, captures, view);
+
+        for (const child of this.children)
+            yield* child.match(target, pos, captures, view);
+    }
+}
+
+class RootNode extends GroupNode {
+    constructor(children) {
+        super(children, true);
+    }
+    /**
+     * @param {RandomSource} [source] - defaults to the current source, or a fresh
+     * stream from the seed so that a seed always reproduces the same output
+     * @returns {string}
+     */
+    evaluate(source = randomSeed === null ? randomSource : seededSource(randomSeed)) {
+        const previous = randomSource;
+        randomSource = source;
+        captures = new Map();
+        try {
+            return super.evaluate();
+        } finally {
+            randomSource = previous;
+        }
+    }
+
+    /**
+     * Whether {candidate} is one of the passwords the pattern can generate
+     *
+     * @param {string} candidate
+     * @returns {boolean}
+     */
+    matches(candidate) {
+        for (const [end, output] of this.match(candidate, 0, new Map(), { transforms: [], loose: [] })) {
+            if (end === candidate.length && output === candidate)
+                return true;
+        }
+        return false;
+    }
+
+    /**
+     * @returns {RegExp | null} - accepting exactly the passwords the pattern can generate, or null
+     * when the pattern needs more than a regular expression can express
+     */
+    toRegExp() {
+        const source = this.regex();
+        return source === null ? null : new RegExp(`^${source}$`);
+    }
+
+    /**
+     * @param {string | null} [seed] - bake in a seeded source instead of the secure one
+     * @param {boolean} [optimize] - run the optimizing passes over a copy of the tree first
+     * @returns {{declarations: CodeWriter, body: CodeWriter, randomIdentifier: string | null}} - the
+     * helper declarations, an expression for one password, and the variable holding the random source
+     */
+    compileParts(seed = randomSeed, optimize = true) {
+        const cache = new CompileCache();
+        if (seed !== null)
+            cache.bind("randomSource", cache.process`${seededSource}(${String(seed)})`);
+
+        const tree = optimize ? optimizeTree(this) : this;
+        let body = new CodeWriter();
+        tree.compile(cache).write(cache, body);
+        // without a prototype, captures named like Object.prototype members start out unset
+        if (cache.usesCaptures)
+            body = code`((${CAPTURES_IDENTIFIER})=>${body})(Object.create(null))`;
+
+        return {
+            declarations: cache.getDeclarationBlock(),
+            body,
+            randomIdentifier: cache.variableIdentifier("randomSource"),
+        };
+    }
+
+    /**
+     * @param {string | null} [seed] - bake in a seeded source instead of the secure one
+     * @param {boolean} [optimize]
+     * @returns {string}
+     */
+    toString(seed = randomSeed, optimize = true) {
+        return this.compileCode("expression", seed, undefined, optimize).code;
+    }
+
+    /**
+     * Standalone module exporting `generate({count, rng})`, which returns {count} passwords
+     * drawn from {rng} when given, or from the secure (or seeded) source otherwise
+     *
+     * @param {"esm" | "cjs" | "iife"} format
+     * @param {string | null} [seed]
+     * @param {string} [name] - global variable the IIFE assigns
+     * @param {boolean} [optimize]
+     * @returns {string}
+     */
+    toModule(format, seed = randomSeed, name = "genpass", optimize = true) {
+        return this.compileCode(format, seed, name, optimize).code;
+    }
+
+    /**
+     * Compiled code along with a source map back to the pattern it was parsed from
+     *
+     * @param {"expression" | "esm" | "cjs" | "iife"} format
+     * @param {string | null} [seed]
+     * @param {string} [name]
+     * @param {boolean} [optimize]
+     * @param {string} [file] - name of the generated file, recorded in the map
+     * @returns {{code: string, map: object}}
+     */
+    toSourceMapped(format, seed = randomSeed, name = "genpass", optimize = true, file) {
+        const writer = this.compileCode(format, seed, name, optimize);
+        return { code: writer.code, map: buildSourceMap(writer, this.source, { file }) };
+    }
+
+    /**
+     * @returns {CodeWriter}
+     */
+    compileCode(format, seed, name, optimize) {
+        const { declarations, body, randomIdentifier } = this.compileParts(seed, optimize);
+        if (format === "expression")
+            return code`${declarations}${body}`;
+
+        // `$` never appears in minified identifiers, so these names cannot shadow a helper
+        const passwords = code`Array.from({length: $count}, () => ${body})`;
+        const generate = randomIdentifier ? code`function generate({count: $count = 1, rng: $rng} = {}) {
+    const $previous = ${randomIdentifier};
+    if ($rng) ${randomIdentifier} = $rng;
+    try {
+        return ${passwords};
+    } finally {
+        ${randomIdentifier} = $previous;
+    }
+}` : code`function generate({count: $count = 1} = {}) {
+    return ${passwords};
+}`;
+
+        switch (format) {
+            case "esm":
+                return code`${declarations}\nexport ${generate}\nexport default generate;\n`;
+            case "cjs":
+                return code`"use strict";\n${declarations}\n${generate}\nmodule.exports = { generate };\n`;
+            case "iife":
+                if (!/^[A-Za-z_$][\w$]*$/.test(name))
+                    throw new Error(`Invalid global name '${name}'`);
+                return code`var ${name} = (() => {\n${declarations}\n${generate}\nreturn { generate };\n})();\n`;
+            default:
+                throw new Error(`Unknown module format '${format}', expected one of ${moduleFormats.join(", ")}`);
+        }
+    }
+}
+
+const moduleFormats = ["esm", "cjs", "iife"];
+
+/**
+ * Values captured by named groups during the current generation
+ *
+ * @type {Map<string, string>}
+ */
+let captures = new Map();
+
+// not a valid minified identifier, so it cannot collide with compiled helpers
+const CAPTURES_IDENTIFIER = "$";
+
+/**
+ * Sequential group whose latest output is remembered under {name} for backreferences
+ */
+class CaptureNode extends GroupNode {
+    constructor(children, name) {
+        super(children, true);
+        this.name = name;
+    }
+
+    coreSignature() {
+        return `${this.name}=${super.coreSignature()}`;
+    }
+
+    generate() {
+        const value = super.generate();
+        captures.set(this.name, value);
+        return value;
+    }
+
+    compileSingle(cache) {
+        cache.usesCaptures = true;
+        return cache.process`(${cache.rawString(`${CAPTURES_IDENTIFIER}.${this.name}`)}=${super.compileSingle(cache)})`
+    }
+
+    regexSingle(transforms, scope) {
+        // a regular expression forgets a capture that a repetition skips, where the generator keeps the last value
+        if (scope.captures.has(this.name) || scope.repeated && scope.skippable)
+            return null;
+
+        scope.captures.set(this.name, transforms);
+        const inner = super.regexSingle(transforms, scope);
+        return inner === null ? null : `(?<${this.name}>${inner})`;
+    }
+
+    *matchSingle(target, pos, captures, view) {
+        for (const [end, output, after] of super.matchSingle(target, pos, captures, view))
+            yield [end, output, new Map(after).set(this.name, output)];
+    }
+}
+
+class BackreferenceNode extends TreeNode {
+    /**
+     * @param {string} name
+     * @param {CaptureNode} capture
+     */
+    constructor(name, capture) {
+        super();
+        this.name = name;
+        this.capture = capture;
+    }
+
+    generate() {
+        return dbg(captures.get(this.name) ?? "");
+    }
+
+    compileSingle(cache) {
+        cache.usesCaptures = true;
+        return cache.rawString(`(${CAPTURES_IDENTIFIER}.${this.name}??'')`)
+    }
+
+    coreSignature() {
+        return `Backreference(${this.name})`;
+    }
+
+    // the repeated text can only be filtered where the capture produces it
+    exclude(chars) {
+        const found = [...this.capture.chars()].find(x => chars.includes(x));
+        if (found !== undefined)
+            throw new Error(`Capture '${this.name}' can produce the excluded character '${found}', exclude it from the capture instead`);
+        return this;
+    }
+
+    // a backreference repeats a value that was already accounted for
+    keyspaceSingle() {
+        return 1n;
+    }
+
+    entropySingle() {
+        return 0;
+    }
+
+    lengthBoundsSingle() {
+        const [min, max] = this.capture.lengthBoundsSingle();
+        return [this.capture.presence || !this.capture.count ? 0 : min, max];
+    }
+
+    // every character it repeats was already produced by the capture
+    charsSingle() {
+        return new Set();
+    }
+
+    // the regular expression repeats the captured text, so both have to be transformed alike
+    regexSingle(transforms, scope) {
+        const captured = scope.captures.get(this.name);
+        const alike = captured?.length === transforms.length && captured.every((x, i) => x === transforms[i]);
+        return alike ? `\\k<${this.name}>` : null;
+    }
+
+    *matchSingle(target, pos, captures, view) {
+        yield* matchCandidates([captures.get(this.name) ?? ""], target, pos, captures, view);
+    }
+}
+
+/**
+ * Reference to a tree defined with `:def` or `:class`
+ */
+class DefinitionNode extends TreeNode {
+    /**
+     * @param {string} name
+     * @param {Definition} definition
+     */
+    constructor(name, definition) {
+        super();
+        this.name = name;
+        this.definition = definition;
+        this.tree = definition.tree;
+    }
+
+    coreSignature() {
+        return `Definition#${this.name}(${this.tree.signature()})`;
+    }
+
+    exclude(chars) {
+        // the shared tree is left alone; references filtered the same way share a copy instead
+        const key = [...new Set(chars)].sort().join("");
+        if (!this.definition.filtered.has(key))
+            this.definition.filtered.set(key, this.definition.parse().exclude(key));
+
+        this.tree = this.definition.filtered.get(key);
+        return this;
+    }
+
+    generate() {
+        return dbg(this.tree.evaluate());
+    }
+
+    compileSingle(cache) {
+        // a shared helper would be declared outside the expression holding the captures
+        if (hasCaptures(this.tree))
+            return this.tree.compile(cache);
+        return cache.process`${cache.definition(this.tree)}()`
+    }
+
+    keyspaceSingle(transforms = []) {
+        return this.tree.keyspace(transforms);
+    }
+
+    entropySingle(transforms = []) {
+        return this.tree.entropy(transforms);
+    }
+
+    outcomesSingle(transforms = []) {
+        return this.tree.outcomes(transforms);
+    }
+
+    lengthBoundsSingle() {
+        return this.tree.lengthBounds();
+    }
+
+    charsSingle() {
+        return this.tree.chars();
+    }
+
+    regexSingle(transforms, scope) {
+        return this.tree.regex(transforms, scope);
+    }
+
+    *matchSingle(target, pos, captures, view) {
+        yield* this.tree.match(target, pos, captures, view);
+    }
+}
+
+/**
+ * Group whose children are evaluated in sequence and whose individual results, one per
+ * repetition of each child, are then put in a uniformly random order
+ */
+class ShuffleNode extends GroupNode {
+    constructor(children) {
+        super(children, true);
+    }
+
+    generateGroup() {
+        return shuffle(this.children.flatMap(x => x.evaluateEach())).join("");
+    }
+
+    compileGroup(cache) {
+        const parts = this.children.map(x => cache.process`...${x.compileEach(cache)}`)
+        return cache.process`${shuffle}([${parts}]).join('')`
+    }
+
+    /**
+     * Number of distinct orders the results can be placed in, with {counts} results from each
+     * child. Children producing the same set of strings are interchangeable, so they count as
+     * one kind of result.
+     *
+     * @param {number[]} counts
+     * @returns {bigint}
+     */
+    arrangements(counts) {
+        const kinds = new Map();
+        this.children.forEach((child, i) => {
+            const outcomes = child.outcomesSingle();
+            const kind = outcomes ? [...outcomes.keys()].sort().join("\0") : child;
+            kinds.set(kind, (kinds.get(kind) || 0) + counts[i]);
+        });
+        const total = counts.reduce((acc, x) => acc + x, 0);
+        return [...kinds.values()].reduce((acc, x) => acc / factorial(x), factorial(total));
+    }
+
+    // summed over every combination of child counts, or when there are too many of those,
+    // every choice of results times the orders of the most results there can be
+    keyspaceSingle(transforms = []) {
+        const childTransforms = this.childTransforms(transforms);
+        const choices = this.children.map(child => {
+            const single = child.keyspaceSingle(childTransforms);
+            const counts = Array.from({length: child.maxCount - child.count + 1}, (_, i) => child.count + i);
+            return (child.presence && child.count ? [0, ...counts] : counts).map(n => [n, single ** BigInt(n)]);
+        });
+        if (choices.reduce((acc, x) => acc * x.length, 1) > MAX_ENUMERABLE_OUTCOMES)
+            return super.keyspaceSingle(transforms) * this.arrangements(this.children.map(x => x.maxCount));
+
+        const combinations = choices.reduce((acc, options) =>
+            acc.flatMap(([counts, keyspace]) => options.map(([n, single]) => [[...counts, n], keyspace * single])), [[[], 1n]]);
+        return combinations.reduce((acc, [counts, keyspace]) => acc + keyspace * this.arrangements(counts), 0n);
+    }
+
+    // the orders of the most results there can be, which no fewer results exceed
+    entropySingle(transforms = []) {
+        return super.entropySingle(transforms) + log2BigInt(this.arrangements(this.children.map(x => x.maxCount)));
+    }
+
+    outcomesSingle(transforms = []) {
+        return null;
+    }
+
+    // every order of the results, as long as there are few enough of them to list
+    regexSingle(transforms, scope) {
+        const [pushed, rest] = splitTransforms([...this.transforms, ...transforms]);
+        if (rest.length || hasCaptures(this))
+            return null;
+
+        const items = [];
+        for (const child of this.children) {
+            const single = child.variableCount || child.presence ? null : child.regexSingle(pushed, scope);
+            if (single === null)
+                return null;
+            items.push(...Array(child.count).fill(single));
+        }
+        if (items.length > MAX_SHUFFLE_REGEX_ITEMS)
+            return null;
+
+        return `(?:${[...new Set(permutations(items).map(x => x.join("")))].join("|")})`;
+    }
+
+    *matchGroup(target, pos, captures, view) {
+        // results are matched in the order they appear, not the order they were generated in
+        if (containsNode(this, CaptureNode) && containsNode(this, BackreferenceNode))
+            throw new Error("Cannot match a shuffled group that both captures and refers back to a capture");
+
+        // children with the same signature are interchangeable, so a state only needs how many
+        // results each kind of child has matched, and not which of them matched each
+        const kinds = [...Map.groupBy(this.children, x => x.signature()).values()].map(x => [x[0], x.length]);
+        yield* this.matchShuffled(target, pos, captures, view, kinds);
+    }
+
+    // one result at a time, merging the ways that reach the same state so that identical children
+    // don't multiply the work by every order they could be matched in
+    *matchShuffled(target, pos, captures, view, kinds) {
+        // {used} results can come from {size} copies of {child}, each of them present or not
+        const complete = (child, size, used) => Array.from({length: size + 1}, (_, present) => present).some(present =>
+            (present === size || child.presence) && present * child.count <= used && used <= present * child.maxCount);
+
+        let states = [[pos, "", captures, kinds.map(() => 0)]];
+        while (states.length) {
+            const next = new Map();
+            for (const [end, output, before, used] of states) {
+                if (kinds.every(([child, size], k) => complete(child, size, used[k])))
+                    yield [end, output, before];
+
+                for (const [k, [child, size]] of kinds.entries()) {
+                    if (used[k] >= size * child.maxCount)
+                        continue;
+                    for (const [after, single, captured] of child.matchSingle(target, end, before, view)) {
+                        const state = [after, output + single, captured, used.with(k, used[k] + 1)];
+                        next.set(JSON.stringify([after, state[1], [...captured], state[3]]), state);
+                    }
+                }
+            }
+            states = [...next.values()];
+        }
+    }
+}
+
+function charRange(start, end) {
+    const startCode = start.charCodeAt(0);
+    return Array.from({length: end.charCodeAt(0) - startCode + 1}, (_, i) => String.fromCharCode(startCode + i)).join("");
+}
+
+/**
+ * Built-in character classes, usable as `[:name:]` inside sample sets
+ */
+const charClasses = {
+    lower: charRange("a", "z"),
+    upper: charRange("A", "Z"),
+    alpha: charRange("a", "z") + charRange("A", "Z"),
+    digit: charRange("0", "9"),
+    alnum: charRange("a", "z") + charRange("A", "Z") + charRange("0", "9"),
+    xdigit: charRange("0", "9") + charRange("a", "f") + charRange("A", "F"),
+    symbol: "!@#$%^&*()_+-=[]{}|;:'\",.<>?",
+    basic: "!@#$%^&*?",
+    space: " ",
+    print: charRange(" ", "~"),
+    punct: removeChars(charRange("!", "~"), charRange("a", "z") + charRange("A", "Z") + charRange("0", "9")),
+    // easily confused when read aloud or from print
+    ambiguous: "0O1lI|",
+};
+
+/**
+ * Classes added with `:class`, usable like the built-in ones
+ *
+ * @type {Map<string, string>}
+ */
+const userClasses = new Map();
+
+/**
+ * Trees added with `:def`, referenced as `&name;`
+ *
+ * @type {Map<string, Definition>}
+ */
+const definitions = new Map();
+
+/**
+ * @typedef {Object} Definition
+ * @property {TreeNode} tree
+ * @property {() => TreeNode} parse - builds a fresh copy of {tree}
+ * @property {Map<string, TreeNode>} filtered - copies with characters excluded, by excluded set
+ */
+
+/**
+ * Characters removed from every pattern, set with `:exclude`
+ */
+let excludedChars = "";
+
+function removeChars(str, chars) {
+    return [...str].filter(x => !chars.includes(x)).join("");
+}
+
+function lookupClass(name) {
+    return Object.hasOwn(charClasses, name) ? charClasses[name] : userClasses.get(name);
+}
+
+/**
+ * Parse a `:def name = pattern` or `:class name = [set]` line and register the result.
+ * References are resolved as the line is parsed, so a definition only sees earlier ones.
+ *
+ * @param {string} line
+ * @returns {["def" | "class", string]}
+ */
+function define(line) {
+    const match = line.trimEnd().match(/^(\s*:(def|class)\s+)(\S*)(\s*=\s*)?/);
+    if (!match || !match[4]) {
+        throw new ParseError("Expected ':def name = pattern' or ':class name = [set]'", 0);
+    }
+
+    const [head, prefix, kind, name] = match;
+    const source = line.trimEnd();
+    if (!/^[A-Za-z_]\w*$/.test(name)) {
+        throw new ParseError(`Invalid name '${name}'`, prefix.length);
+    }
+
+    if (kind === "class") {
+        if (Object.hasOwn(charClasses, name)) {
+            throw new ParseError(`Cannot redefine the built-in class '${name}'`, prefix.length);
+        }
+        const chars = new Parser().parseClass(source, head.length);
+        userClasses.set(name, chars);
+        addDefinition(name, () => new SampleNode(chars).setSpan(source, head.length, source.length));
+    } else {
+        addDefinition(name, () => {
+            const root = new Parser().parse(source, head.length);
+            return new GroupNode(root.children, true).withSpanOf(root);
+        });
+    }
+    return [kind, name];
+}
+
+function addDefinition(name, parse) {
+    definitions.set(name, {tree: parse(), parse, filtered: new Map()});
+}
+
+class SampleNode extends TreeNode {
     constructor(sampleSet) {
         super();
-        this.sampleSet = sampleSet;
+        this.sampleSet = sampleSet;
+    }
+
+    generate() {
+        return dbg(sample(this.sampleSet));
+    }
+
+    lengthBoundsSingle() {
+        const lengths = [...this.sampleSet].map(x => x.length);
+        return [Math.min(...lengths), Math.max(...lengths)];
+    }
+
+    coreSignature() {
+        return `Sample${JSON.stringify(this.sampleSet)}`;
+    }
+
+    // a set of strings, such as words or numbers, loses every string containing one of {chars}
+    exclude(chars) {
+        this.sampleSet = typeof this.sampleSet === "string" ?
+            removeChars(this.sampleSet, chars) :
+            this.sampleSet.filter(x => ![...x].some(c => chars.includes(c)));
+        if (!this.sampleSet.length)
+            throw new Error("Excluding those characters leaves nothing to sample");
+        return this;
+    }
+
+    compileSingle(cache) {
+        // return `sample("${this.sampleSet.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}")`
+        if (typeof this.sampleSet !== "string")
+            return cache.process`${sample}([${this.sampleSet}])`
+        return cache.process`${sample}(${this.sampleSet})`
+    }
+
+    outcomesSingle(transforms = []) {
+        // duplicated characters are proportionally more likely to be drawn
+        const outcomes = new Map();
+        for (let i = 0; i < this.sampleSet.length; i++) {
+            const char = applyTransforms(this.sampleSet[i], transforms);
+            outcomes.set(char, (outcomes.get(char) || 0) + 1 / this.sampleSet.length);
+        }
+        return outcomes;
+    }
+}
+
+/**
+ * Pick one of {sets}, uniformly or in proportion to {weights}, then one character of it.
+ * The optimizer's form of a `{}` group of single characters, making the same draws.
+ */
+class SetChoiceNode extends TreeNode {
+    /**
+     * @param {string[]} sets
+     * @param {number[] | null} weights
+     */
+    constructor(sets, weights) {
+        super();
+        this.sets = sets;
+        this.weights = weights;
     }
 
     generate() {
-        return dbg(sample(this.sampleSet));
+        return dbg(sample(this.weights ? this.sets[weightedIndex(this.weights)] : sample(this.sets)));
+    }
+
+    lengthBoundsSingle() {
+        return [1, 1];
+    }
+
+    coreSignature() {
+        return `SetChoice${JSON.stringify([this.sets, this.weights])}`;
     }
 
     compileSingle(cache) {
-        // return `sample("${this.sampleSet.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}")`
-        return cache.process`${sample}(${this.sampleSet})`
+        const set = this.weights ?
+            cache.process`[${this.sets}][${weightedIndex}([${this.weights}])]` :
+            cache.process`${sample}([${this.sets}])`
+        return cache.process`${sample}(${set})`
+    }
+
+    outcomesSingle(transforms = []) {
+        return mixDistributions(this.sets.map((set, i) =>
+            [this.weights?.[i] ?? 1, new SampleNode(set).outcomesSingle(transforms)]));
     }
 }
 
 class AnyNode extends TreeNode {
+    exclude(chars) {
+        return new SampleNode(charClasses.print).withModifiersOf(this).exclude(chars);
+    }
+
     generate() {
         return String.fromCharCode(randRange(32, 127));
     }
 
     compileSingle(cache) {
-        // return `String.fromCharCode(randRange(32, 172))`
-        return cache.process`String.fromCharCode(${randRange}(32, 172))`
+        // return `String.fromCharCode(randRange(32, 127))`
+        return cache.process`String.fromCharCode(${randRange}(32, 127))`
+    }
+
+    outcomesSingle(transforms = []) {
+        return transformOutcomes(new Map(Array.from({length: 95}, (_, i) => [String.fromCharCode(32 + i), 1 / 95])), transforms);
     }
 }
 
 class AlphaNode extends SampleNode {
     constructor(uppercase = false) {
-        super(
-            uppercase
-                ? "ABCDEFGHIJKLMNOPQRSTUVWXYZ"
-                : "abcdefghijklmnopqrstuvwxyz",
-        );
+        super(uppercase ? charClasses.upper : charClasses.lower);
+    }
+}
+
+class WordNode extends SampleNode {
+    constructor(name, words) {
+        super(words);
+        this.name = name;
+        this.excluded = "";
+    }
+
+    // words are kept whole, so those containing an excluded character are dropped from the list
+    exclude(chars) {
+        super.exclude(chars);
+        this.excluded = [...new Set(this.excluded + chars)].sort().join("");
+        return this;
+    }
+
+    coreSignature() {
+        return `Word${JSON.stringify([this.name, this.excluded])}`;
+    }
+
+    compileSingle(cache) {
+        // the list is interned once as a newline separated string rather than as an array of literals
+        return cache.process`${sample}(${this.sampleSet.join("\n")}.split('\\n'))`
+    }
+}
+
+// every onset must be followed by a vowel, so a run of syllables splits back into its parts in
+// exactly one way and repeated syllables never produce the same string from different choices
+const syllableOnsets = [
+    "b", "d", "f", "g", "h", "j", "k", "l", "m", "n", "p", "r", "s", "t", "v", "w", "z",
+    "ch", "sh", "th", "br", "dr", "fr", "gr", "pr", "tr", "bl", "fl", "gl", "pl", "sl", "st",
+];
+const syllableVowels = "aeiou";
+
+/**
+ * Pronounceable consonant-vowel syllable, for passwords that have to be read out
+ */
+class SyllableNode extends TreeNode {
+    constructor() {
+        super();
+        this.onsets = syllableOnsets;
+        this.vowels = syllableVowels;
+    }
+
+    exclude(chars) {
+        this.onsets = this.onsets.filter(x => ![...x].some(c => chars.includes(c)));
+        this.vowels = removeChars(this.vowels, chars);
+        if (!this.onsets.length || !this.vowels.length)
+            throw new Error("Excluding those characters leaves no syllables");
+        return this;
+    }
+
+    generate() {
+        return dbg(sample(this.onsets) + sample(this.vowels));
+    }
+
+    coreSignature() {
+        return `Syllable${JSON.stringify([this.onsets, this.vowels])}`;
+    }
+
+    compileSingle(cache) {
+        return cache.process`${sample}([${this.onsets}])+${sample}(${this.vowels})`
+    }
+
+    outcomesSingle(transforms = []) {
+        const p = 1 / (this.onsets.length * this.vowels.length);
+        const syllables = this.onsets.flatMap(onset => [...this.vowels].map(vowel => [onset + vowel, p]));
+        return transformOutcomes(new Map(syllables), transforms);
+    }
+
+    lengthBoundsSingle() {
+        const lengths = this.onsets.map(x => x.length + 1);
+        return [Math.min(...lengths), Math.max(...lengths)];
     }
 }
 
 class NumericNode extends TreeNode {
+    exclude(chars) {
+        return new SampleNode(charClasses.digit).withModifiersOf(this).exclude(chars);
+    }
+
     generate() {
         return dbg(randRange(0, 10).toString());
     }
@@ -772,17 +2707,21 @@ class NumericNode extends TreeNode {
         // return `randRange(0, 10).toString()`
         return cache.process`${randRange}(0, 10).toString()`
     }
+
+    outcomesSingle(transforms = []) {
+        return transformOutcomes(new Map(Array.from({length: 10}, (_, i) => [i.toString(), 1 / 10])), transforms);
+    }
 }
 
 class SymbolNode extends SampleNode {
     constructor() {
-        super("!@#$%^&*()_+-=[]{}|;:'\",.<>?");
+        super(charClasses.symbol);
     }
 }
 
 class BasicSymbolNode extends SampleNode {
     constructor() {
-        super("!@#$%^&*?");
+        super(charClasses.basic);
     }
 }
 
@@ -801,6 +2740,80 @@ class RangeNode extends TreeNode {
         // return `randRange(${this.start},${this.end}).toString()`
         return cache.process`${randRange}(${this.start},${this.end}).toString()`
     }
+
+    // numbers are kept whole, so those containing an excluded character are dropped from the range
+    exclude(chars) {
+        if (![...this.charsSingle()].some(x => chars.includes(x)))
+            return this;
+        const size = this.end - this.start;
+        if (size > MAX_ENUMERABLE_OUTCOMES)
+            throw new Error(`Cannot exclude characters from a range of more than ${MAX_ENUMERABLE_OUTCOMES} numbers`);
+
+        const numbers = Array.from({length: Math.max(size, 0)}, (_, i) => this.format(this.start + i));
+        return new SampleNode(numbers).withModifiersOf(this).exclude(chars);
+    }
+
+    keyspaceSingle(transforms = []) {
+        // too large to enumerate means plain numbers, which no transform merges
+        const outcomes = this.outcomesSingle(transforms);
+        return outcomes ? BigInt(outcomes.size) : BigInt(Math.max(this.end - this.start, 0));
+    }
+
+    entropySingle(transforms = []) {
+        const outcomes = this.outcomesSingle(transforms);
+        if (outcomes)
+            return distributionEntropy(outcomes.values());
+        return this.end > this.start ? Math.log2(this.end - this.start) : 0;
+    }
+
+    outcomesSingle(transforms = []) {
+        const size = this.end - this.start;
+        if (size <= 0 || size > MAX_ENUMERABLE_OUTCOMES)
+            return null;
+
+        return transformOutcomes(new Map(Array.from({length: size}, (_, i) => [this.format(this.start + i), 1 / size])), transforms);
+    }
+
+    coreSignature() {
+        return `${this.constructor.name}(${this.start},${this.end})`;
+    }
+
+    lengthBoundsSingle() {
+        const lengths = [this.format(this.start).length, this.format(this.end - 1).length];
+        const min = this.start <= 0 && this.end > 0 ? 1 : Math.min(...lengths);
+        return [min, Math.max(...lengths)];
+    }
+
+    charsSingle() {
+        const outcomes = this.outcomesSingle();
+        if (outcomes)
+            return super.charsSingle();
+        return new Set(charClasses.digit + (this.start < 0 ? "-" : ""));
+    }
+
+    // no transform changes digits, so numbers are matched by their digits rather than listed
+    regexSingle(transforms, scope) {
+        if (!leavesDigits({ transforms, loose: [] }))
+            return super.regexSingle(transforms, scope);
+        return integerRangeRegex(this.start, this.end - 1);
+    }
+
+    *matchSingle(target, pos, captures, view) {
+        if (!leavesDigits(view))
+            return yield* super.matchSingle(target, pos, captures, view);
+
+        const [min, max] = this.lengthBoundsSingle();
+        for (let length = min; length <= max && pos + length <= target.length; length++) {
+            const text = target.slice(pos, pos + length);
+            const value = Number(text);
+            if (Number.isInteger(value) && value >= this.start && value < this.end && this.format(value) === text)
+                yield [pos + length, text, captures];
+        }
+    }
+
+    format(value) {
+        return value.toString();
+    }
 }
 
 class AsciiRangeNode extends RangeNode {
@@ -810,6 +2823,11 @@ class AsciiRangeNode extends RangeNode {
         super(startCode, endCode);
     }
 
+    exclude(chars) {
+        const set = this.end > this.start ? charRange(String.fromCharCode(this.start), String.fromCharCode(this.end - 1)) : "";
+        return new SampleNode(set).withModifiersOf(this).exclude(chars);
+    }
+
     generate() {
         const code = parseInt(super.generate());
         return String.fromCharCode(code);
@@ -819,6 +2837,417 @@ class AsciiRangeNode extends RangeNode {
         // return `String.fromCharCode(${r.substring(0, r.length - 11)})`
         return cache.process`String.fromCharCode(${randRange}(${this.start},${this.end}))`
     }
+
+    lengthBoundsSingle() {
+        return [1, 1];
+    }
+
+    regexSingle(transforms, scope) {
+        return regexAlternatives(this.candidatesSingle().map(x => applyTransforms(x, transforms)));
+    }
+
+    *matchSingle(target, pos, captures, view) {
+        yield* matchCandidates(this.candidatesSingle(), target, pos, captures, view);
+    }
+
+    candidatesSingle() {
+        return Array.from({ length: Math.max(this.end - this.start, 0) }, (_, i) => this.format(this.start + i));
+    }
+
+    format(value) {
+        return String.fromCharCode(value);
+    }
+}
+
+/**
+ * Copy of {node} with {fields} replaced, sharing everything else
+ *
+ * @template {TreeNode} T
+ * @param {T} node
+ * @param {Partial<T>} [fields]
+ * @returns {T}
+ */
+function cloneNode(node, fields = {}) {
+    return Object.assign(Object.create(Object.getPrototypeOf(node)), node, fields);
+}
+
+function isPlainGroup(node) {
+    return node.constructor === GroupNode && !node.transforms.length;
+}
+
+function hasFixedCount(node) {
+    return !node.variableCount && !node.presence;
+}
+
+/**
+ * Characters a node producing exactly one character picks from, indexed by its single draw
+ * from the random source, or null when it may produce anything else or draws differently
+ *
+ * @param {TreeNode} node
+ * @returns {string | null}
+ */
+function singleCharSet(node) {
+    if (node.count !== 1 || !hasFixedCount(node))
+        return null;
+    if (node instanceof SampleNode)
+        return typeof node.sampleSet === "string" ? node.sampleSet : null;
+    if (node instanceof NumericNode)
+        return charClasses.digit;
+    if (node instanceof AnyNode)
+        return charClasses.print;
+    if (node instanceof AsciiRangeNode)
+        return node.end > node.start ? charRange(String.fromCharCode(node.start), String.fromCharCode(node.end - 1)) : null;
+    return null;
+}
+
+/**
+ * Neighbouring nodes that are the same apart from a fixed count become one node, and
+ * neighbouring literals become one literal
+ *
+ * @param {TreeNode[]} children
+ * @returns {TreeNode[]}
+ */
+function mergeNeighbours(children) {
+    const merged = [];
+    for (let child of children) {
+        const last = merged[merged.length - 1];
+        if (last && hasFixedCount(last) && hasFixedCount(child) && last.weight === child.weight && last.coreSignature() === child.coreSignature()) {
+            merged[merged.length - 1] = cloneNode(last, {count: last.count + child.count, maxCount: last.count + child.count, spanEnd: child.spanEnd});
+            continue;
+        }
+        merged.push(child);
+    }
+
+    return merged.map(x => x instanceof LiteralNode && hasFixedCount(x) && x.count !== 1 ?
+        cloneNode(x, {literal: x.literal.repeat(x.count), count: 1, maxCount: 1}) : x
+    ).reduce((acc, x) => {
+        const last = acc[acc.length - 1];
+        if (last instanceof LiteralNode && x instanceof LiteralNode && hasFixedCount(last) && hasFixedCount(x) && last.count === 1 && x.count === 1)
+            acc[acc.length - 1] = cloneNode(last, {literal: last.literal + x.literal, spanEnd: x.spanEnd});
+        else
+            acc.push(x);
+        return acc;
+    }, []);
+}
+
+/**
+ * A `{}` group whose alternatives each produce a single character, as one node choosing
+ * between their sets. Literals are left alone, as they take no draw the group could keep.
+ *
+ * @param {GroupNode} node
+ * @param {TreeNode[]} children
+ * @returns {SetChoiceNode | null}
+ */
+function collapseSampleGroup(node, children) {
+    const sets = children.map(singleCharSet);
+    if (!sets.length || sets.some(x => x === null) || node.transforms.some(x => !x.charwise))
+        return null;
+
+    const transformed = sets.map(set => [...set].map(x => applyTransforms(x, node.transforms)).join(""));
+    const weights = node.weighted ? children.map(x => x.weight) : null;
+    return new SetChoiceNode(transformed, weights).withModifiersOf(node);
+}
+
+/**
+ * Length of the code {node} compiles to on its own, helper declarations included
+ *
+ * @param {TreeNode} node
+ * @returns {number}
+ */
+function compiledSize(node) {
+    const cache = new CompileCache();
+    const body = new CodeWriter();
+    node.compile(cache).write(cache, body);
+    return body.length + cache.getDeclarationBlock().length;
+}
+
+/**
+ * @param {TreeNode} rewritten
+ * @param {TreeNode} node
+ * @returns {TreeNode} - {rewritten} if its code is shorter than that of {node}, else {node}
+ */
+function smaller(rewritten, node) {
+    return compiledSize(rewritten) < compiledSize(node) ? rewritten : node;
+}
+
+/**
+ * Flatten nested sequential groups, merge neighbouring nodes and collapse `{}` groups of
+ * single characters, bottom up. Every pass keeps the draws from the random source as they
+ * are, so a seed gives the same output compiled as interpreted, and is only kept where
+ * it shortens the code.
+ *
+ * @param {TreeNode} node
+ * @returns {TreeNode}
+ */
+function optimizeNode(node) {
+    if (!(node instanceof GroupNode))
+        return node;
+
+    let children = node.children.map(optimizeNode);
+    let optimized = cloneNode(node, {children});
+    if (node.sequential && !(node instanceof ShuffleNode)) {
+        children = mergeNeighbours(children.flatMap(x => isPlainGroup(x) && x.sequential && hasFixedCount(x) && x.count === 1 ? x.children : [x]));
+        optimized = smaller(cloneNode(node, {children}), optimized);
+        children = optimized.children;
+    }
+    if (!node.sequential) {
+        const collapsed = collapseSampleGroup(node, children);
+        if (collapsed)
+            return smaller(collapsed, optimized);
+    }
+    // a `{}` group draws its one alternative's index all the same
+    if (isPlainGroup(node) && node.sequential && children.length === 1 && children[0].count === 1 && hasFixedCount(children[0]) && children[0].weight === 1)
+        return smaller(cloneNode(children[0]).withModifiersOf(node), optimized);
+
+    return optimized;
+}
+
+function containsNode(node, type) {
+    return node instanceof type ||
+        node instanceof GroupNode && node.children.some(x => containsNode(x, type)) ||
+        node instanceof DefinitionNode && containsNode(node.tree, type);
+}
+
+function hasCaptures(node) {
+    return containsNode(node, CaptureNode) || containsNode(node, BackreferenceNode);
+}
+
+/**
+ * Replace groups that appear more than once with references to one shared copy, which
+ * CompileCache emits as a single helper. Groups touching captures stay in place, as their
+ * code refers to the capture object of the enclosing expression.
+ *
+ * @param {RootNode} root
+ * @returns {RootNode}
+ */
+function liftRepeatedGroups(root) {
+    const counts = new Map();
+    const count = node => {
+        if (!(node instanceof GroupNode))
+            return;
+        if (node !== root && !hasCaptures(node))
+            counts.set(node.coreSignature(), (counts.get(node.coreSignature()) || 0) + 1);
+        node.children.forEach(count);
+    };
+    count(root);
+
+    const shared = new Map();
+    const lift = node => {
+        if (!(node instanceof GroupNode))
+            return node;
+        const signature = node.coreSignature();
+        if (node !== root && counts.get(signature) > 1) {
+            if (!shared.has(signature)) {
+                const tree = cloneNode(node, {count: 1, maxCount: 1, presence: null, weight: 1});
+                shared.set(signature, {tree, parse: () => tree, filtered: new Map()});
+            }
+            return new DefinitionNode("lifted", shared.get(signature)).withModifiersOf(node);
+        }
+        return cloneNode(node, {children: node.children.map(lift)});
+    };
+    return lift(root);
+}
+
+/**
+ * Equivalent tree that compiles to less code. {root} itself is left untouched.
+ *
+ * @param {RootNode} root
+ * @returns {RootNode}
+ */
+function optimizeTree(root) {
+    const optimized = optimizeNode(root);
+    return smaller(liftRepeatedGroups(optimized), optimized);
+}
+
+/**
+ * @typedef {Object} RegexScope
+ * @property {Map<string, StringTransform[]>} captures - named groups emitted so far, with the
+ * transforms applied to their text
+ * @property {boolean} repeated - inside a repeated node
+ * @property {boolean} skippable - some repetition of that node may skip the current one
+ */
+
+/**
+ * @typedef {Object} MatchView
+ * @property {StringTransform[]} transforms - applied to a node's output, as the target shows it
+ * @property {StringTransform[]} loose - applied after those, but depending on context, so
+ * only used to rule out characters
+ */
+
+const MAX_SHUFFLE_REGEX_ITEMS = 6;
+
+function escapeRegex(str, inClass = false) {
+    return [...Array(str.length).keys()].map(i => {
+        const char = str[i];
+        const code = str.charCodeAt(i);
+        if (code < 0x20 || code > 0x7e)
+            return `\\u${code.toString(16).padStart(4, "0")}`;
+        return /[\\^$.*+?()[\]{}|\/]/.test(char) || inClass && char === "-" ? `\\${char}` : char;
+    }).join("");
+}
+
+// a single character, escape or class, which a quantifier applies to as a whole
+function isRegexAtom(source) {
+    return /^(?:[^\\()[\]{}|*+?^$.]|\\u[0-9a-f]{4}|\\.|\[(?:\\.|[^\\\]])*\])$/.test(source);
+}
+
+/**
+ * @param {string[]} strings
+ * @returns {string} - regular expression source matching any of {strings}
+ */
+function regexAlternatives(strings) {
+    const unique = [...new Set(strings)];
+    if (!unique.length)
+        return "(?!)";
+    if (unique.length === 1)
+        return escapeRegex(unique[0]);
+    if (unique.every(x => x.length === 1)) {
+        const codes = unique.map(x => x.charCodeAt(0)).sort((a, b) => a - b);
+        // runs of consecutive characters are written as ranges
+        const runs = codes.reduce((acc, code) => {
+            const last = acc[acc.length - 1];
+            last && last[1] === code - 1 ? last[1] = code : acc.push([code, code]);
+            return acc;
+        }, []);
+        return `[${runs.map(([from, to]) => {
+            const [start, end] = [from, to].map(x => escapeRegex(String.fromCharCode(x), true));
+            return from === to ? start : `${start}${to > from + 1 ? "-" : ""}${end}`;
+        }).join("")}]`;
+    }
+    return `(?:${unique.sort((a, b) => b.length - a.length).map(x => escapeRegex(x)).join("|")})`;
+}
+
+/**
+ * Alternatives matching every number from {start} to {end}, both of the same number of digits
+ *
+ * @param {string} start
+ * @param {string} end
+ * @returns {string[]}
+ */
+function digitRangeAlternatives(start, end) {
+    if (start === end)
+        return [start];
+    if (start[0] === end[0])
+        return digitRangeAlternatives(start.slice(1), end.slice(1)).map(x => start[0] + x);
+
+    const rest = start.length - 1;
+    const digits = (from, to) => from === to ? String(from) : `[${from}-${to}]`;
+    const any = rest > 1 ? `\\d{${rest}}` : rest ? "\\d" : "";
+    let [first, last] = [Number(start[0]), Number(end[0])];
+    const alternatives = [];
+    if (/[1-9]/.test(start.slice(1)))
+        alternatives.push(...digitRangeAlternatives(start.slice(1), "9".repeat(rest)).map(x => start[0] + x)), first++;
+    const tail = /[0-8]/.test(end.slice(1)) ? digitRangeAlternatives("0".repeat(rest), end.slice(1)).map(x => end[0] + x) : [];
+    if (tail.length)
+        last--;
+    if (first <= last)
+        alternatives.push(digits(first, last) + any);
+    return [...alternatives, ...tail];
+}
+
+/**
+ * @param {number} start
+ * @param {number} end - inclusive
+ * @returns {string} - regular expression source matching the integers from {start} to {end}, as
+ * `toString` writes them
+ */
+function integerRangeRegex(start, end) {
+    const alternatives = [];
+    const positive = (from, to, sign = "") => {
+        for (let length = String(from).length; length <= String(to).length; length++) {
+            const low = Math.max(from, length === 1 ? 0 : 10 ** (length - 1));
+            const high = Math.min(to, 10 ** length - 1);
+            alternatives.push(...digitRangeAlternatives(String(low), String(high)).map(x => sign + x));
+        }
+    };
+    if (start < 0)
+        positive(Math.max(1, -Math.min(end, -1)), -start, "-");
+    if (end >= 0)
+        positive(Math.max(start, 0), end);
+
+    if (!alternatives.length)
+        return "(?!)";
+    return alternatives.length === 1 ? alternatives[0] : `(?:${alternatives.join("|")})`;
+}
+
+function permutations(items) {
+    if (items.length < 2)
+        return [items];
+    return items.flatMap((x, i) => permutations(items.toSpliced(i, 1)).map(rest => [x, ...rest]));
+}
+
+/**
+ * Split the transforms applying to a group's output into those its children can apply to their
+ * own outputs, and those that depend on context and so can only apply to the group as a whole.
+ * A change of case is dropped when a later transform ignores case anyway, which is sound as every
+ * transform maps strings that differ only in case to strings that differ only in case.
+ *
+ * @param {StringTransform[]} transforms
+ * @returns {[StringTransform[], StringTransform[]]}
+ */
+function splitTransforms(transforms) {
+    const kept = transforms.filter((x, i) => !x.caseOnly || !transforms.slice(i + 1).some(y => y.ignoresCase));
+    const split = kept.findIndex(x => !x.charwise);
+    return split < 0 ? [kept, []] : [kept.slice(0, split), kept.slice(split)];
+}
+
+/**
+ * @param {string} char
+ * @param {StringTransform[]} transforms
+ * @returns {Set<string>} - what {char} may become, whatever surrounds it
+ */
+function looseImages(char, transforms) {
+    return transforms.reduce(
+        (acc, transform) => new Set([...acc].flatMap(x => transform.charwise ? [transform.apply(x)] : [x, transform.apply(x)])),
+        new Set([char]),
+    );
+}
+
+function fitsAt(target, pos, str, loose) {
+    if (!loose.length)
+        return target.startsWith(str, pos);
+    if (pos + str.length > target.length)
+        return false;
+
+    for (let i = 0; i < str.length; i++) {
+        if (!looseImages(str[i], loose).has(target[pos + i]))
+            return false;
+    }
+    return true;
+}
+
+function leavesDigits({ transforms, loose }) {
+    return [..."-0123456789"].every(x => applyTransforms(x, transforms) === x && looseImages(x, loose).size === 1);
+}
+
+/**
+ * @param {string[]} candidates - outputs a node may produce
+ * @returns {Generator<[number, string, Map<string, string>]>}
+ */
+function* matchCandidates(candidates, target, pos, captures, { transforms, loose }) {
+    for (const candidate of candidates) {
+        const output = applyTransforms(candidate, transforms);
+        if (fitsAt(target, pos, output, loose))
+            yield [pos + output.length, candidate, captures];
+    }
+}
+
+function uniqueMatches(matches) {
+    const unique = new Map();
+    for (const match of matches) {
+        const [end, output, captures] = match;
+        unique.set(JSON.stringify([end, output, [...captures]]), match);
+    }
+    return [...unique.values()];
+}
+
+function* matchSequence(nodes, target, pos, captures, view) {
+    let states = [[pos, "", captures]];
+    for (const node of nodes) {
+        states = uniqueMatches(states.flatMap(([end, output, before]) =>
+            [...node.match(target, end, before, view)].map(([next, part, after]) => [next, output + part, after])));
+    }
+    yield* states;
 }
 
 class ParseContext {
@@ -835,13 +3264,15 @@ class ParseContext {
 }
 
 class Parser {
-    parse(str) {
+    parse(str, start = 0) {
         this.defaultContext = new ParseContext(undefined, GroupNode, true);
         this.input = str;
         this.children = [];
-        this.current = 0;
+        this.current = start;
+        this.captures = new Map();
         this.contextStack = [this.defaultContext];
         this.defaultContext.children = this.children;
+        this.defaultContext.start = start;
 
         while (this.current < this.input.length) {
             this.parseToken();
@@ -851,7 +3282,29 @@ class Parser {
             throw new ParseError(`Expected '${this.currentContext.endToken}' but got EOF`, this.current)
         }
 
-        return new RootNode(this.children);
+        const root = new RootNode(this.children).setSpan(str, start, str.length);
+        try {
+            return excludedChars ? root.exclude(excludedChars) : root;
+        } catch (ex) {
+            throw new ParseError(`${ex.message} (excluded globally: ${excludedChars})`, start);
+        }
+    }
+
+    /**
+     * Parse {str} from {start} as a lone `[...]` set
+     *
+     * @returns {string}
+     */
+    parseClass(str, start = 0) {
+        this.input = str;
+        this.current = start;
+        const head = this.current;
+        this.consume(x => x === "[", "[");
+        const chars = this.parseSampleSet(head);
+        if (this.current < this.input.length) {
+            throw new ParseError("Expected the class to end after ']'", this.current);
+        }
+        return chars;
     }
 
     get currentContext() {
@@ -868,6 +3321,7 @@ class Parser {
 
     parseToken() {
         const head = this.current
+        this.tokenStart = head;
         let token = this.advance();
         switch (token) {
             case this.currentContext.endToken:
@@ -880,6 +3334,8 @@ class Parser {
                 return this.push(new AlphaNode(true));
             case "#": // numeric
                 return this.push(new NumericNode());
+            case "s": // pronounceable syllable
+                return this.push(new SyllableNode());
             case "@": // extended symbol set
                 return this.push(new SymbolNode());
             case "$": // basic symbol set
@@ -887,23 +3343,85 @@ class Parser {
             case '"': // literal
                 const [literal, _1] = dbg(this.consumeUntil('"'));
                 return this.push(new LiteralNode(literal));
+            case "%": // wordlist
+                const [spec, _4] = dbg(this.consumeUntil("%"));
+                try {
+                    return this.push(new WordNode(spec, loadWordlist(spec)));
+                } catch (ex) {
+                    throw new ParseError(ex.message, head);
+                }
+            case "&": // named definition
+                const [defName, _5] = dbg(this.consumeUntil(";"));
+                if (!definitions.has(defName)) {
+                    throw new ParseError(`Unknown definition '${defName}'`, head);
+                }
+                return this.push(new DefinitionNode(defName, definitions.get(defName)));
+            case "-": // exclude characters from the previous node
+                if (!this.lastNode) {
+                    throw new ParseError("Exclusions must follow a node", head);
+                }
+                const excludeHead = this.current;
+                this.consume(x => x === "[", "[");
+                const excluded = this.parseSampleSet(excludeHead);
+                try {
+                    this.currentNodeSet.push(this.currentNodeSet.pop().exclude(excluded));
+                } catch (ex) {
+                    throw new ParseError(ex.message, head);
+                }
+                return this.extendLastNode();
             case "[": // sample set
-                const [sampleSet, _2] = dbg(this.consumeUntil("]"));
-                return this.push(new SampleNode(sampleSet));
+                return this.push(new SampleNode(dbg(this.parseSampleSet(head))));
             case "<": // repeat modifier
+                if (!this.lastNode) {
+                    throw new ParseError("Repeats must follow a node", head);
+                }
                 const [numStr, _3] = dbg(this.consumeUntil(">"));
-                const num = parseInt(numStr);
-                if (isNaN(num)) {
+                const [min, max] = this.parseRepeat(numStr, head);
+                this.lastNode.setCount(min, max);
+                return this.extendLastNode();
+            case "!": // transform the output of a group
+                const transformName = this.input.slice(this.current).match(/^[a-z]*/)[0];
+                this.current += transformName.length;
+                if (!Object.hasOwn(stringTransforms, transformName)) {
                     throw new ParseError(
-                        'Repeat modifier must be a number', head
+                        `Unknown transform '!${transformName}', expected one of ${Object.keys(stringTransforms).map(x => `!${x}`).join(", ")}`, head
                     );
                 }
-                this.lastNode.setCount(num);
-                return null;
-            case ":": // range
+                if (!(this.lastNode instanceof GroupNode)) {
+                    throw new ParseError("Transforms can only follow a group", head);
+                }
+                this.lastNode.addTransform(stringTransforms[transformName]);
+                return this.extendLastNode();
+            case "?": // optional, or present with a given probability
+                if (!this.lastNode) {
+                    throw new ParseError("Optional markers must follow a node", head);
+                }
+                const percent = this.input.slice(this.current).match(/^(\d+)(?:\.(\d+))?%/);
+                if (!percent) {
+                    this.lastNode.setPresence(1, 2);
+                    return this.extendLastNode();
+                }
+                this.current += percent[0].length;
+                const scale = 10 ** (percent[2] || "").length;
+                const numerator = parseInt(percent[1] + (percent[2] || ""));
+                if (numerator > 100 * scale) {
+                    throw new ParseError("Probability cannot exceed 100%", head);
+                }
+                this.lastNode.setPresence(numerator, 100 * scale);
+                return this.extendLastNode();
+            case ":": // range, or the weight of an alternative in a sample group
+                const context = this.currentContext;
+                const weight = this.lastNode && context.nodeType === GroupNode && !context.instantiationArgs[0] ?
+                    this.parseWeight(head) : null;
+                if (weight !== null) {
+                    this.lastNode.setWeight(weight);
+                    return this.extendLastNode();
+                }
+
                 let rangeStr, endToken;
                 this.pushContext(undefined, GroupNode);
                 do {
+                    this.tokenStart = this.current;
                     [rangeStr, endToken] = dbg(this.consumeUntil(":", ";"));
                     const [start, end] = rangeStr.split("-");
                     if (isNaN(start)) {
@@ -918,33 +3436,199 @@ class Parser {
                 if (groupNode.children.length > 1) {
                     this.push(groupNode);
                 } else {
-                    this.push(groupNode.children[0]);
+                    this.push(groupNode.children[0].withSpanOf(groupNode));
                 }
                 break;
             case "(": // start group
+                if (this.peek() === "?" && this.peek(1) === "<") {
+                    this.current += 2;
+                    const name = this.parseCaptureName(head);
+                    if (this.captures.has(name)) {
+                        throw new ParseError(`Capture '${name}' is already defined`, head);
+                    }
+                    return this.pushContext(")", CaptureNode, name);
+                }
                 return this.pushContext(")", GroupNode, true);
+            case "\\": // backreference
+                this.consume(x => x === "k", "k");
+                this.consume(x => x === "<", "<");
+                const refName = this.parseCaptureName(head);
+                if (!this.captures.has(refName)) {
+                    throw new ParseError(`Backreference to undefined or unclosed capture '${refName}'`, head);
+                }
+                return this.push(new BackreferenceNode(refName, this.captures.get(refName)));
+            case "~": // start shuffled group
+                this.consume(x => x === "(", "(");
+                return this.pushContext(")", ShuffleNode);
             case "{": // start group sample
                 return this.pushContext("}", GroupNode, false);
         }
     }
 
+    /**
+     * Parse the body of a repeat modifier: `n`, `min-max`, `min,max`, `min,` or `,max`.
+     * An open upper bound defaults to {DEFAULT_REPEAT_SPREAD} more than the lower one.
+     *
+     * @param {string} str
+     * @param {number} head - index of the opening angle bracket
+     * @returns {[number, number]}
+     */
+    parseRepeat(str, head) {
+        const match = str.match(/^\s*(\d*)\s*([-,]?)\s*(\d*)\s*$/);
+        if (!match || (!match[1] && !match[3]) || (!match[2] && !match[1])) {
+            throw new ParseError(
+                'Repeat modifier must be a number or a range such as <8-16>, <8,> or <,4>', head
+            );
+        }
+
+        const [_, minStr, separator, maxStr] = match;
+        const min = minStr ? parseInt(minStr) : 0;
+        if (!separator)
+            return [min, min];
+
+        const max = maxStr ? parseInt(maxStr) : min + DEFAULT_REPEAT_SPREAD;
+        if (max < min) {
+            throw new ParseError(`Repeat range <${str}> has its bounds reversed`, head);
+        }
+        return [min, max];
+    }
+
+    /**
+     * Parse the body of a `[...]` set: literal characters, ranges (`a-z`), named classes
+     * (`:upper:`), a leading `^` to negate against printable ASCII, and `--` to subtract
+     * everything that follows (`[:upper:--IO]` or `[A-Z--IO]`). As in regular expressions,
+     * `[A-IO]` is the range A-I plus O rather than a subtraction.
+     * An item followed by `:n` is weighted n times. Sets used to be plain lists of characters,
+     * so `[a:1]` once meant the three characters `a`, `:` and `1`; it now needs `[a\:1]`.
+     *
+     * @param {number} head - index of the opening bracket
+     * @returns {string}
+     */
+    parseSampleSet(head) {
+        const negated = this.peek() === "^" && !!this.advance();
+        let chars = "";
+        let removed = "";
+        let subtracting = false;
+
+        while (this.peek() !== "]") {
+            if (this.peek() === undefined) {
+                throw new ParseError("Expected ']' but got EOF", this.current);
+            }
+            if (this.peek() === "-" && this.peek(1) === "-" && (chars || negated)) {
+                this.current += 2;
+                subtracting = true;
+                continue;
+            }
+            const item = this.parseClassItem();
+            // a weight repeats the item's characters, making each proportionally more likely
+            const weight = this.parseWeight(this.current) ?? 1;
+            subtracting ? removed += item : chars += item.repeat(weight);
+        }
+        this.advance();
+
+        if (negated)
+            chars = removeChars(charClasses.print, chars);
+        if (removed)
+            chars = removeChars(chars, removed);
+        if (!chars.length)
+            throw new ParseError("Sample set is empty", head);
+
+        return chars;
+    }
+
+    /**
+     * Parse a `:n` weight starting at {start}, which must be followed by neither
+     * a digit nor `-` so that ranges such as `:0-9;` are left alone
+     *
+     * @param {number} start - index of the colon
+     * @returns {number | null}
+     */
+    parseWeight(start) {
+        const match = this.input.slice(start).match(/^:(\d+)(?![\d-])/);
+        if (!match)
+            return null;
+
+        const weight = parseInt(match[1]);
+        if (weight < 1) {
+            throw new ParseError("Weights must be positive integers", start);
+        }
+        this.current = start + match[0].length;
+        return weight;
+    }
+
+    parseClassItem() {
+        const start = this.current;
+        let token = this.advance();
+
+        if (token === ":") {
+            const close = this.input.indexOf(":", this.current);
+            const name = close < 0 ? null : this.input.slice(this.current, close);
+            const chars = name && lookupClass(name);
+            if (chars) {
+                this.current = close + 1;
+                return chars;
+            }
+        }
+
+        if (token === "\\")
+            token = this.advance();
+
+        if (this.peek() !== "-" || [undefined, "-", "]"].includes(this.peek(1)))
+            return token;
+
+        this.advance();
+        let end = this.advance();
+        if (end === "\\")
+            end = this.advance();
+        if (end === undefined || end < token) {
+            throw new ParseError(`Invalid range '${this.input.slice(start, this.current)}'`, start);
+        }
+
+        return charRange(token, end);
+    }
+
+    /**
+     * Add {token} to the current group, spanning the pattern from the start of the token
+     * being parsed unless it already has a span
+     */
     push(token) {
+        if (token.source === undefined)
+            token.setSpan(this.input, this.tokenStart, this.current);
         this.currentNodeSet.push(token);
         return token;
     }
 
+    // modifiers become part of the span of the node they apply to
+    extendLastNode() {
+        this.lastNode.spanEnd = this.current;
+        return null;
+    }
+
     pushContext(endToken, nodeType, ...instantiationArgs) {
         const context = new ParseContext(
             endToken,
             nodeType,
             ...instantiationArgs,
         );
+        context.start = this.tokenStart;
         this.contextStack.push(context);
         return context;
     }
 
     popContext() {
-        return this.contextStack.pop().finalize();
+        const context = this.contextStack.pop();
+        const node = context.finalize().setSpan(this.input, context.start, this.current);
+        if (node instanceof CaptureNode)
+            this.captures.set(node.name, node);
+        return node;
+    }
+
+    parseCaptureName(head) {
+        const [name, _] = this.consumeUntil(">");
+        if (!/^[A-Za-z_]\w*$/.test(name)) {
+            throw new ParseError(`Invalid capture name '${name}'`, head);
+        }
+        return name;
     }
 
     consume(predicate, expectedToken) {
@@ -988,34 +3672,976 @@ class Parser {
     }
 }
 
-function parseRepl(str) {
+export class PolicyError extends Error {
+    /**
+     * @param {string[]} reasons
+     */
+    constructor(reasons) {
+        super(`Policy not satisfied: ${reasons.join("; ")}`);
+        this.reasons = reasons;
+    }
+}
+
+/**
+ * @typedef {Object} PolicyRules
+ * @property {number} [minLength]
+ * @property {number} [maxLength]
+ * @property {string[]} [required] - character classes that must each appear at least once
+ * @property {string[]} [forbidden] - substrings that must not appear, ignoring case
+ * @property {number} [maxRepeat] - most times the same character may appear in a row
+ * @property {number} [maxSequence] - longest run allowed along a keyboard row, the digits or the alphabet
+ * @property {Blocklist | string} [blocklist] - passwords that must not be produced, or the name,
+ * path or URL to load them from with `loadBlocklist`
+ */
+
+/**
+ * @type {Object<string, PolicyRules>}
+ */
+const policyPresets = {
+    nist: { minLength: 8, maxLength: 64 },
+    basic: { minLength: 8, required: ["lower", "digit"] },
+    strict: { minLength: 12, maxLength: 64, required: ["lower", "upper", "digit", "punct"], maxRepeat: 2, maxSequence: 2 },
+    legacy: { minLength: 8, maxLength: 16, required: ["lower", "upper", "digit"], forbidden: ["'", '"', "\\", " "] },
+    pin: { minLength: 6, maxLength: 6, required: ["digit"], maxRepeat: 2, maxSequence: 2 },
+};
+
+const keyboardSequences = ["abcdefghijklmnopqrstuvwxyz", "0123456789", "1234567890", "qwertyuiop", "asdfghjkl", "zxcvbnm"];
+
+const POLICY_MAX_ATTEMPTS = 1000;
+
+class Policy {
+    /**
+     * @param {PolicyRules} rules
+     */
+    constructor(rules = {}) {
+        this.rules = rules;
+        this.blocklist = typeof rules.blocklist === "string" ? loadBlocklist(rules.blocklist) : rules.blocklist ?? null;
+        this.minLength = rules.minLength ?? 0;
+        this.maxLength = rules.maxLength ?? Infinity;
+        this.required = rules.required ?? [];
+        this.forbidden = rules.forbidden ?? [];
+        this.maxRepeat = rules.maxRepeat ?? Infinity;
+        this.maxSequence = rules.maxSequence ?? Infinity;
+
+        const unknown = this.required.find(x => !lookupClass(x));
+        if (unknown !== undefined)
+            throw new Error(`Unknown character class '${unknown}'`);
+    }
+
+    /**
+     * Build a policy from a preset and/or `key=value` overrides, e.g. `strict max=20 forbid=admin,root`
+     *
+     * @param {string[]} args
+     * @returns {Policy}
+     */
+    static parse(args) {
+        const rules = {};
+        for (const arg of args) {
+            const [key, value] = arg.split("=");
+            if (value === undefined) {
+                if (!Object.hasOwn(policyPresets, key))
+                    throw new Error(`Unknown policy preset '${key}', expected one of ${Object.keys(policyPresets).join(", ")}`);
+                Object.assign(rules, policyPresets[key]);
+                continue;
+            }
+
+            const number = parseInt(value);
+            const list = value ? value.split(",") : [];
+            switch (key) {
+                case "min": rules.minLength = number; break;
+                case "max": rules.maxLength = number; break;
+                case "repeat": rules.maxRepeat = number; break;
+                case "sequence": rules.maxSequence = number; break;
+                case "require": rules.required = list; break;
+                case "forbid": rules.forbidden = list; break;
+                case "blocklist": rules.blocklist = value; break;
+                default:
+                    throw new Error(`Unknown policy rule '${key}', expected min, max, require, forbid, repeat, sequence or blocklist`);
+            }
+            if (["min", "max", "repeat", "sequence"].includes(key) && isNaN(number))
+                throw new Error(`Policy rule '${key}' must be a number`);
+        }
+        return new Policy(rules);
+    }
+
+    /**
+     * Reasons {password} breaks the policy, worded to be the same for every password breaking a rule
+     *
+     * @param {string} password
+     * @returns {string[]}
+     */
+    violations(password) {
+        const reasons = [];
+        if (password.length < this.minLength)
+            reasons.push(`shorter than ${this.minLength} characters`);
+        if (password.length > this.maxLength)
+            reasons.push(`longer than ${this.maxLength} characters`);
+
+        for (const name of this.required) {
+            const chars = lookupClass(name);
+            if (![...password].some(x => chars.includes(x)))
+                reasons.push(`no character from [:${name}:]`);
+        }
+
+        const lower = password.toLowerCase();
+        for (const substring of this.forbidden) {
+            if (lower.includes(substring.toLowerCase()))
+                reasons.push(`contains ${JSON.stringify(substring)}`);
+        }
+
+        if (this.maxRepeat < password.length && new RegExp(`(.)\\1{${this.maxRepeat}}`, "s").test(password))
+            reasons.push(`same character more than ${this.maxRepeat} times in a row`);
+
+        if (this.maxSequence < password.length && this.hasSequence(lower))
+            reasons.push(`keyboard or alphabet sequence longer than ${this.maxSequence}`);
+
+        if (this.blocklist?.has(password))
+            reasons.push(`found in blocklist ${this.blocklist.name}`);
+
+        return reasons;
+    }
+
+    hasSequence(str) {
+        const length = this.maxSequence + 1;
+        for (let i = 0; i + length <= str.length; i++) {
+            const run = str.slice(i, i + length);
+            const reversed = [...run].reverse().join("");
+            if (keyboardSequences.some(x => x.includes(run) || x.includes(reversed)))
+                return true;
+        }
+        return false;
+    }
+
+    /**
+     * Reasons no output of {tree} can ever satisfy the policy, found without generating anything
+     *
+     * @param {RootNode} tree
+     * @returns {string[]}
+     */
+    staticViolations(tree) {
+        const reasons = [];
+        const [min, max] = tree.lengthBounds();
+        if (max < this.minLength)
+            reasons.push(`pattern produces at most ${max} characters, policy needs at least ${this.minLength}`);
+        if (min > this.maxLength)
+            reasons.push(`pattern produces at least ${min} characters, policy allows at most ${this.maxLength}`);
+
+        const chars = tree.chars();
+        for (const name of this.required) {
+            if (![...lookupClass(name)].some(x => chars.has(x)))
+                reasons.push(`pattern never produces a character from [:${name}:]`);
+        }
+
+        // a pattern with a single output breaks the policy exactly when that output does
+        if (!reasons.length && tree.keyspace() === 1n)
+            reasons.push(...this.violations(tree.evaluate()).map(x => `the only possible output is rejected: ${x}`));
+
+        return reasons;
+    }
+
+    /**
+     * Evaluate {tree} until the output complies, throwing PolicyError with the most common
+     * reasons if it never does within {maxAttempts}
+     *
+     * @param {RootNode} tree
+     * @param {RandomSource} [source]
+     * @param {number} [maxAttempts]
+     * @returns {{password: string, attempts: number}}
+     */
+    generate(tree, source = randomSource, maxAttempts = POLICY_MAX_ATTEMPTS) {
+        const impossible = this.staticViolations(tree);
+        if (impossible.length)
+            throw new PolicyError(impossible);
+
+        const failures = new Map();
+        for (let attempts = 1; attempts <= maxAttempts; attempts++) {
+            const password = tree.evaluate(source);
+            const violations = this.violations(password);
+            if (!violations.length)
+                return {password, attempts};
+            violations.forEach(x => failures.set(x, (failures.get(x) || 0) + 1));
+        }
+
+        throw new PolicyError(
+            [...failures].sort((a, b) => b[1] - a[1]).map(([reason, count]) => `${reason} (${count} of ${maxAttempts} attempts)`)
+        );
+    }
+
+    toString() {
+        const rules = [];
+        if (this.minLength) rules.push(`min=${this.minLength}`);
+        if (this.maxLength !== Infinity) rules.push(`max=${this.maxLength}`);
+        if (this.required.length) rules.push(`require=${this.required.join(",")}`);
+        if (this.forbidden.length) rules.push(`forbid=${this.forbidden.join(",")}`);
+        if (this.maxRepeat !== Infinity) rules.push(`repeat=${this.maxRepeat}`);
+        if (this.maxSequence !== Infinity) rules.push(`sequence=${this.maxSequence}`);
+        if (this.blocklist) rules.push(`blocklist=${this.blocklist.name}`);
+        return rules.join(" ") || "no rules";
+    }
+}
+
+/**
+ * Policy every generated password must comply with, set with `:policy`
+ *
+ * @type {Policy | null}
+ */
+let activePolicy = null;
+
+/**
+ * The policy output is generated under: the active one, screened against the active blocklist
+ *
+ * @returns {Policy | null}
+ */
+function currentPolicy() {
+    if (!activeBlocklist)
+        return activePolicy;
+
+    return new Policy({...activePolicy?.rules, blocklist: activeBlocklist});
+}
+
+/**
+ * @typedef {Object} GenerateOptions
+ * @property {number} [count] - number of passwords, 1 by default
+ * @property {string} [seed] - reproducible output, NOT secure
+ * @property {RandomSource} [random] - replaces the secure default source, for example with
+ * `nodeCryptoSource(crypto)` or `byteSource(count => bytes)`
+ * @property {string | PolicyRules} [policy] - rules or presets such as "strict max=20";
+ * output is regenerated until it complies
+ * @property {string | Blocklist} [blocklist] - output found in it is regenerated: a bundled name
+ * such as "common", a path or URL, or a list from `loadBlocklist`
+ */
+
+/**
+ * @typedef {Object} EntropyReport
+ * @property {bigint} keyspace - upper bound on the number of distinct outputs, exact unless an output
+ * can be split between the parts of the pattern in more than one way
+ * @property {number} bits - Shannon entropy of the output, an upper bound in the same way
+ * @property {[number, number]} length - shortest and longest output
+ */
+
+/**
+ * @param {string | RootNode} pattern
+ * @returns {RootNode}
+ */
+function toTree(pattern) {
+    return pattern instanceof RootNode ? pattern : parse(pattern);
+}
+
+/**
+ * Parse a pattern, throwing ParseError with the index of the offending character
+ *
+ * @param {string} pattern
+ * @returns {RootNode}
+ */
+export function parse(pattern) {
+    return new Parser().parse(pattern);
+}
+
+/**
+ * @param {string | RootNode} pattern
+ * @param {GenerateOptions} [options]
+ * @returns {string[]}
+ */
+export function generate(pattern, { count = 1, seed, random, policy, blocklist } = {}) {
+    if (!Number.isInteger(count) || count < 0)
+        throw new RangeError(`Count must be a non-negative integer, got ${count}`);
+
+    const tree = toTree(pattern);
+    const source = random ?? (seed === undefined ? randomSource : seededSource(seed));
+    let rules = typeof policy === "string" ? Policy.parse(policy.trim().split(/\s+/)) : policy && new Policy(policy);
+    if (blocklist)
+        rules = new Policy({...rules?.rules, blocklist: typeof blocklist === "string" ? loadBlocklist(blocklist) : blocklist});
+    return Array.from({length: count}, () => rules ? rules.generate(tree, source).password : tree.evaluate(source));
+}
+
+/**
+ * @typedef {Object} CompileOptions
+ * @property {"expression" | "esm" | "cjs" | "iife" | "regexp"} [format] - a bare expression evaluating
+ * to one password, a module exporting `generate({count, rng})`, or a regular expression literal
+ * accepting exactly the passwords the pattern can generate
+ * @property {string} [seed] - baked into the code, making its output NOT secure
+ * @property {string} [name] - global variable assigned by the IIFE format
+ * @property {boolean} [optimize] - run the optimizing passes, true by default
+ * @property {boolean} [sourceMap] - also return a version 3 source map back to the pattern
+ * @property {string} [file] - name of the generated file, recorded in the source map
+ */
+
+/**
+ * Transpile a pattern into standalone JavaScript that needs neither the parser nor this module
+ *
+ * @param {string | RootNode} pattern
+ * @param {CompileOptions} [options]
+ * @returns {string | {code: string, map: object}} - the code, or the code and its map with {sourceMap}
+ */
+export function compile(pattern, { format = "expression", seed, name, optimize = true, sourceMap = false, file } = {}) {
+    const tree = toTree(pattern);
+    if (format === "regexp") {
+        const regex = tree.toRegExp();
+        if (!regex)
+            throw new Error("Pattern cannot be expressed as a regular expression, use matcher() instead");
+        return String(regex);
+    }
+    if (sourceMap)
+        return tree.toSourceMapped(format, seed ?? null, name, optimize, file);
+    return format === "expression" ?
+        tree.toString(seed ?? null, optimize) :
+        tree.toModule(format, seed ?? null, name, optimize);
+}
+
+/**
+ * @typedef {Object} Matcher
+ * @property {RegExp | null} regex - null when the pattern needs more than a regular expression
+ * @property {(candidate: string) => boolean} test - whether the pattern can generate {candidate}
+ */
+
+/**
+ * Validate candidates against a pattern, with a regular expression where one can express it
+ *
+ * @param {string | RootNode} pattern
+ * @returns {Matcher}
+ */
+export function matcher(pattern) {
+    const tree = toTree(pattern);
+    const regex = tree.toRegExp();
+    return { regex, test: regex ? candidate => regex.test(candidate) : candidate => tree.matches(candidate) };
+}
+
+/**
+ * @param {string | RootNode} pattern
+ * @returns {EntropyReport}
+ */
+export function entropy(pattern) {
+    const tree = toTree(pattern);
+    return { keyspace: tree.keyspace(), bits: tree.entropy(), length: tree.lengthBounds() };
+}
+
+const SANDBOX_TIMEOUT_MS = 2000;
+const SANDBOX_FRAME_GRACE_MS = 1000;
+const SANDBOX_POOL_CHUNK = 1024;
+const SANDBOX_MAX_POOL = 1 << 20;
+
+// global the compiled IIFE assigns inside the sandbox, never one of the runner's own names
+const SANDBOX_MODULE_NAME = "$generator";
+
+/**
+ * Freeze every global binding and everything reachable from it, so compiled code can neither
+ * tamper with the runner's builtins nor leave anything behind
+ */
+const sandboxHardening = `(() => {
+    const { freeze, getOwnPropertyDescriptors, getPrototypeOf } = Object;
+    const seen = new Set();
+    const harden = value => {
+        if (value === null || (typeof value !== "object" && typeof value !== "function") || seen.has(value))
+            return;
+        seen.add(value);
+        freeze(value);
+        for (const { value: inner, get, set } of Object.values(getOwnPropertyDescriptors(value)))
+            [inner, get, set].forEach(harden);
+        harden(getPrototypeOf(value));
+    };
+    harden(globalThis);
+})();`;
+
+/**
+ * Script evaluating to the JSON of `{passwords}`, `{exhausted}` or `{error}`. It gets no randomness
+ * other than {pool}, handed over as data, and draws from it the same way `poolSource` does.
+ *
+ * @param {string} moduleCode - the pattern compiled to an IIFE assigning {SANDBOX_MODULE_NAME}
+ * @param {Uint8Array | null} pool - null for seeded code, which brings its own source
+ * @param {number} count
+ * @returns {string}
+ */
+function sandboxScript(moduleCode, pool, count) {
+    const hex = pool ? Array.from(pool, x => x.toString(16).padStart(2, "0")).join("") : "";
+    return `(() => {
+const stringify = JSON.stringify;
+${uniformInt}
+${bytesToUint32}
+${byteSource}
+${RandomPoolExhausted}
+${poolSource}
+const pool = new Uint8Array(${JSON.stringify(hex)}.match(/../g)?.map(x => parseInt(x, 16)) ?? []);
+try {
+${moduleCode}
+    return stringify({ passwords: ${SANDBOX_MODULE_NAME}.generate({ count: ${count}${pool ? `, rng: ${poolSource.name}(pool)` : ""} }) });
+} catch (ex) {
+    return stringify(ex instanceof ${RandomPoolExhausted.name} ? { exhausted: true } : { error: String(ex?.message ?? ex) });
+}
+})()`;
+}
+
+/**
+ * Evaluate {script} in a fresh context whose global is frozen and holds only the language builtins
+ *
+ * @param {string} script
+ * @param {number} timeout - in milliseconds
+ * @returns {Promise<unknown>} - the completion value of {script}
+ */
+async function runInVmSandbox(script, timeout) {
+    // a context without the runner's global in its prototype chain needs Node 22.8 or later
+    if (vm.constants?.DONT_CONTEXTIFY === undefined)
+        throw new Error(`Sandboxed generation needs Node 22.8 or later, this is Node ${process.versions.node}`);
+    const context = vm.createContext(vm.constants.DONT_CONTEXTIFY, {
+        codeGeneration: { strings: false, wasm: false },
+        microtaskMode: "afterEvaluate",
+    });
+    vm.runInContext(sandboxHardening, context);
+    try {
+        return vm.runInContext(script, context, { timeout });
+    } catch (ex) {
+        if (ex?.code === "ERR_SCRIPT_EXECUTION_TIMEOUT")
+            throw new Error(`Sandboxed generator timed out after ${timeout}ms`);
+        throw ex;
+    }
+}
+
+// worker answering a single message with the completion value of the script it holds
+const sandboxWorkerSource = `onmessage = event => {
+    let result;
+    try {
+        result = (0, eval)(event.data);
+    } catch (ex) {
+        result = JSON.stringify({ error: String(ex?.message ?? ex) });
+    }
+    postMessage(result);
+};`;
+
+/**
+ * Evaluate {script} in a worker started by a hidden iframe with an opaque origin and no network
+ * access, which posts the completion value back. The frame terminates the worker once {timeout}
+ * runs out, which stops it even in the middle of a loop, and is discarded once it answers.
+ *
+ * @param {string} script
+ * @param {number} timeout - in milliseconds
+ * @returns {Promise<unknown>}
+ */
+function runInFrameSandbox(script, timeout) {
+    return new Promise((resolve, reject) => {
+        const frame = document.createElement("iframe");
+        frame.sandbox = "allow-scripts";
+        frame.hidden = true;
+        frame.srcdoc = `<meta http-equiv="Content-Security-Policy" content="default-src 'none'; script-src 'unsafe-inline' 'unsafe-eval'; worker-src blob:">
+<script>
+addEventListener("message", event => {
+    const answer = result => {
+        clearTimeout(timer);
+        worker.terminate();
+        parent.postMessage(result, "*");
+    };
+    const worker = new Worker(URL.createObjectURL(new Blob([${JSON.stringify(sandboxWorkerSource)}], { type: "text/javascript" })));
+    const timer = setTimeout(() => answer(JSON.stringify({ error: ${JSON.stringify(`Sandboxed generator timed out after ${timeout}ms`)} })), ${timeout});
+    worker.onmessage = message => answer(message.data);
+    worker.onerror = () => answer(JSON.stringify({ error: "Sandboxed generator worker failed" }));
+    worker.postMessage(event.data);
+}, { once: true });
+</script>`;
+
+        const finish = (error, result) => {
+            clearTimeout(timer);
+            removeEventListener("message", onMessage);
+            frame.remove();
+            error ? reject(error) : resolve(result);
+        };
+        // in case the frame itself never answers; removing it also ends its worker
+        const timer = setTimeout(() => finish(new Error(`Sandboxed generator timed out after ${timeout}ms`)), timeout + SANDBOX_FRAME_GRACE_MS);
+        const onMessage = event => {
+            if (event.source === frame.contentWindow)
+                finish(null, event.data);
+        };
+        addEventListener("message", onMessage);
+        frame.addEventListener("load", () => frame.contentWindow.postMessage(script, "*"), { once: true });
+        document.body.append(frame);
+    });
+}
+
+/**
+ * Cryptographically secure bytes, fetched in chunks as `getRandomValues` caps a single call
+ *
+ * @param {number} count
+ * @returns {Uint8Array}
+ */
+function secureBytes(count) {
+    const bytes = new Uint8Array(count);
+    for (let offset = 0; offset < count; offset += 65536)
+        crypto.getRandomValues(bytes.subarray(offset, offset + 65536));
+    return bytes;
+}
+
+/**
+ * @typedef {Object} SandboxOptions
+ * @property {number} [count] - passwords to generate, 1 by default
+ * @property {string} [seed] - reproducible, NOT secure output
+ * @property {number} [timeout] - milliseconds before the generator is abandoned
+ */
+
+/**
+ * Like {generate}, but by running the compiled pattern isolated from this module: in a frozen
+ * `node:vm` context in Node, or a worker of a sandboxed iframe in the browser. The only capability it gets is
+ * a pool of secure random bytes, which is refilled with a larger one whenever it runs dry.
+ *
+ * @param {string | RootNode} pattern
+ * @param {SandboxOptions} [options]
+ * @returns {Promise<string[]>}
+ */
+export async function generateSandboxed(pattern, { count = 1, seed, timeout = SANDBOX_TIMEOUT_MS } = {}) {
+    const run = vm ? runInVmSandbox : globalThis.document ? runInFrameSandbox : null;
+    if (!run)
+        throw new Error("No sandbox is available in this environment");
+
+    const moduleCode = toTree(pattern).toModule("iife", seed ?? null, SANDBOX_MODULE_NAME);
+    for (let size = SANDBOX_POOL_CHUNK; size <= SANDBOX_MAX_POOL; size *= 2) {
+        const pool = seed === undefined || seed === null ? secureBytes(size * count) : null;
+        const result = await run(sandboxScript(moduleCode, pool, count), timeout);
+        // anything but the runner's own JSON means the generated code interfered with it
+        const parsed = typeof result === "string" ? JSON.parse(result) : null;
+        if (parsed?.error !== undefined)
+            throw new Error(parsed.error);
+        if (parsed?.exhausted && pool)
+            continue;
+        if (!Array.isArray(parsed?.passwords) || parsed.passwords.length !== count || parsed.passwords.some(x => typeof x !== "string"))
+            throw new Error("Sandboxed generator returned an unexpected result");
+        return parsed.passwords;
+    }
+    throw new Error(`Sandboxed generator needed more than ${SANDBOX_MAX_POOL * count} random bytes`);
+}
+
+const siteMode = {
+    master: null,
+    site: null,
+};
+
+/**
+ * @param {string} str
+ * @param {(label: string) => Promise<string>} [readSecret] - reads a line without echoing it
+ */
+async function replCommand(str, readSecret) {
+    const [command, ...args] = str.trim().split(/\s+/);
+    switch (command) {
+        case ":def":
+        case ":class":
+            const [kind, defined] = define(str);
+            return [`Defined ${kind === "class" ? `[:${defined}:] and ` : ""}&${defined};`, true];
+        case ":load":
+            try {
+                let text;
+                if (args.length) {
+                    text = readResource(args.join(" "));
+                } else if (windowObj?.tinyConsole?.pickFile) {
+                    const file = await windowObj.tinyConsole.pickFile();
+                    if (!file)
+                        return ["No file selected", false];
+                    text = await file.text();
+                } else {
+                    return ["Usage: :load <path>", false];
+                }
+                return [loadDefinitions(text).map(([kind, name]) => `Defined ${kind} ${name}`).join("\n"), true];
+            } catch (ex) {
+                return [ex.message, false];
+            }
+        case ":master":
+            // the raw rest of the line, as whitespace inside a passphrase is significant
+            const passphrase = str.replace(/^\s*:master\s?/, "");
+            if (passphrase.trim() === "off") {
+                siteMode.master = null;
+                return ["Master passphrase cleared", true];
+            }
+            if (passphrase.trim()) {
+                siteMode.master = passphrase;
+            } else if (readSecret) {
+                const secret = await readSecret("Master passphrase: ");
+                if (!secret)
+                    return ["Master passphrase unchanged", false];
+                siteMode.master = secret;
+            } else {
+                return ["Usage: :master <passphrase>", false];
+            }
+            return ["Master passphrase set", true];
+        case ":site":
+            if (!args.length || args[0] === "off") {
+                siteMode.site = null;
+                return ["Site mode off", true];
+            }
+            const [site, login = "", counter = "1"] = args;
+            if (isNaN(parseInt(counter))) {
+                return ["Site counter must be a number", false];
+            }
+            siteMode.site = {site, login, counter: parseInt(counter)};
+            return [`Site mode on for ${site}${login ? ` (${login})` : ""} #${siteMode.site.counter}`, true];
+        case ":wordlist":
+            const [name, ...source] = args;
+            if (!name)
+                return ["Usage: :wordlist <name> [path or URL]", false];
+            try {
+                let text;
+                if (source.length) {
+                    text = readResource(source.join(" "));
+                } else if (windowObj?.tinyConsole?.pickFile) {
+                    const file = await windowObj.tinyConsole.pickFile();
+                    if (!file)
+                        return ["No file selected", false];
+                    text = await file.text();
+                } else {
+                    return ["Usage: :wordlist <name> <path>", false];
+                }
+                registerWordlist(name, parseWordlist(text));
+                return [`Loaded ${wordlists.get(name).length} words into %${name}%`, true];
+            } catch (ex) {
+                return [ex.message, false];
+            }
+        case ":exclude":
+            if (!args.length || args[0] === "off") {
+                excludedChars = "";
+                return ["No characters excluded", true];
+            }
+            excludedChars = new Parser().parseClass(str.trimEnd(), str.indexOf(args[0], str.indexOf(command) + command.length));
+            return [`Excluding ${JSON.stringify(excludedChars)} from every pattern`, true];
+        case ":policy":
+            if (!args.length || args[0] === "off") {
+                activePolicy = null;
+                return ["Policy off", true];
+            }
+            try {
+                activePolicy = Policy.parse(args);
+            } catch (ex) {
+                return [ex.message, false];
+            }
+            return [`Policy: ${activePolicy}`, true];
+        case ":blocklist":
+            if (args[0] === "off") {
+                activeBlocklist = null;
+                return ["Blocklist off", true];
+            }
+            try {
+                activeBlocklist = loadBlocklist(args.length ? args.join(" ") : "common");
+            } catch (ex) {
+                return [ex.message, false];
+            }
+            return [`Screening output against ${activeBlocklist}`, true];
+        case ":check":
+            const password = str.trim().slice(command.length).trim();
+            if (!password)
+                return ["Usage: :check <password>", false];
+            let blocklist;
+            try {
+                blocklist = activeBlocklist ?? loadBlocklist("common");
+            } catch (ex) {
+                return [ex.message, false];
+            }
+            // checked against the active policy too, so the verdict matches what generation would accept
+            const violations = new Policy({...activePolicy?.rules, blocklist}).violations(password);
+            return [violations.length ? `Rejected: ${violations.join("; ")}` : `Accepted, not found in ${blocklist}`, !violations.length];
+        case ":seed":
+            if (!args.length || args[0] === "off") {
+                setSeed(null);
+                return ["Seeded mode off, using the secure random source", true];
+            }
+            setSeed(args.join(" "));
+            return [`Seeded mode on (seed "${randomSeed}"): output is reproducible and NOT secure`, true];
+    }
+    return null;
+}
+
+/**
+ * Apply a pattern file: one `:def` or `:class` per line, with blank lines and `//` comments skipped
+ *
+ * @param {string} text
+ * @returns {["def" | "class", string][]}
+ */
+function loadDefinitions(text) {
+    return text.split(/\r?\n/).flatMap((line, i) => {
+        if (!line.trim() || line.trim().startsWith("//"))
+            return [];
+        try {
+            return [define(line)];
+        } catch (ex) {
+            throw new Error(`Line ${i + 1}: ${ex.message}`);
+        }
+    });
+}
+
+/**
+ * Both figures are upper bounds, as output that more than one sequence of parts can produce is counted once per sequence
+ *
+ * @param {RootNode} tree
+ * @returns {string}
+ */
+function describeStrength(tree) {
+    return `keyspace: at most ${formatKeyspace(tree.keyspace())} (at most ${tree.entropy().toFixed(2)} bits of entropy)`
+}
+
+/**
+ * @param {string} str
+ * @param {(label: string) => Promise<string>} [readSecret]
+ * @returns {Promise<[string, boolean]>} - output, and whether it succeeded
+ */
+async function parseRepl(str, readSecret) {
     try {
+        const commandResult = await replCommand(str, readSecret);
+        if (commandResult)
+            return commandResult;
+
         const tree = new Parser().parse(str);
+        if (siteMode.site) {
+            if (siteMode.master === null)
+                return ["Set a master passphrase with :master first", false];
+
+            const { site, login, counter } = siteMode.site;
+            const password = await deriveSitePassword(tree, siteMode.master, siteMode.site, currentPolicy());
+            return [`${password}\nderived for ${site}${login ? ` (${login})` : ""} #${counter}\n${describeStrength(tree)}`, true];
+        }
+
         const compiled = tree.toString()
         let output;
-        try {
-            output = eval(compiled);
-        } catch (ex) {
-            output = ex.message
+        const policy = currentPolicy();
+        if (policy) {
+            // the compiled code does not enforce the policy, so compliant output comes from the tree
+            const source = randomSeed === null ? randomSource : seededSource(randomSeed);
+            const { password, attempts } = policy.generate(tree, source);
+            output = `${password}\npolicy: ${policy} (${attempts} attempt${attempts === 1 ? "" : "s"})`;
+        } else {
+            try {
+                [output] = await generateSandboxed(tree, { seed: randomSeed });
+            } catch (ex) {
+                output = ex.message
+            }
         }
-        return [compiled + '\n' + output, true];
+        const strength = describeStrength(tree)
+        const warning = randomSeed === null ? "" : `\nWARNING: seeded mode (seed "${randomSeed}"), output is NOT secure`
+        return [compiled + '\n' + output + '\n' + strength + warning, true];
     } catch(ex) {
         const arrow = ex instanceof ParseError ? " ".repeat(ex.index + 4) + "^\n" : ""
         return [`${arrow}${ex.message}`, false]
     }
 }
 
-function nodeRepl(rl) {
-    rl.question(">>> ", (input) => {
-        const [output, result] = parseRepl(input);
+/**
+ * @param {import("node:readline").Interface} rl
+ * @param {(muted: boolean) => void} mute - stops the interface echoing what is typed
+ */
+async function nodeRepl(rl, mute) {
+    // iterate rather than rl.question so lines piped in during an await are not dropped
+    const lines = rl[Symbol.asyncIterator]();
+    const readSecret = async label => {
+        process.stdout.write(label);
+        mute(true);
+        try {
+            const { value = "" } = await lines.next();
+            if (rl.history?.[0] === value)
+                rl.history.shift();
+            return value;
+        } finally {
+            mute(false);
+            process.stdout.write("\n");
+        }
+    };
+    rl.setPrompt(">>> ");
+    rl.prompt();
+    for await (const input of lines) {
+        const [output, result] = await parseRepl(input, readSecret);
         (result ? console.log : console.error)(output);
-        nodeRepl(rl);
-    })
+        rl.prompt();
+    }
+}
+
+const cliUsage = `Usage: genpass.mjs [options]
+
+Without options, starts an interactive prompt. Requires Node 22.3 or later, and 22.8
+for the prompt, which runs generated code in a sandbox.
+
+Options:
+  -p, --pattern <pattern>  pattern to generate from; may be repeated
+      --stdin              also read patterns from stdin, one per line
+  -n, --count <n>          passwords per pattern (default 1)
+  -s, --seed <seed>        reproducible, NOT secure output
+  -f, --format <format>    plain, json, ndjson or csv (default plain)
+  -b, --blocklist <list>   regenerate passwords found in this blocklist: common (the
+                           default), a path to a list or saved filter, or off
+      --compile            print the generated JavaScript instead of passwords
+      --module <format>    with --compile, emit an esm, cjs or iife module
+                           exporting generate({count, rng})
+      --size               with --compile, compare code size before and after optimizing
+      --source-map         with --compile, append an inline source map to the code
+      --regex              print a regular expression accepting exactly what each
+                           pattern can generate
+  -h, --help               show this message
+
+Pattern syntax, in brief:
+  a A # .          lowercase, uppercase, digit, any printable ASCII character
+  [abc] [a-z0-9]   one character from a set, which may hold ranges, named classes
+  [:upper:]        such as :lower:, :digit: or :ambiguous:, and a leading ^ to
+  [^aeiou]         negate it
+  [A-Z--IO]        subtraction, removing everything after -- from the set: both
+  [:upper:--IO]    are the capital letters except I and O. As in regular
+                   expressions, [A-IO] is the range A-I plus the letter O
+  <n> <min-max>    repeat the previous node n times, or a number of times chosen
+  <min,> <,max>    uniformly within the bounds; an open upper bound is min+${DEFAULT_REPEAT_SPREAD}, so
+                   <8,> is <8-${8 + DEFAULT_REPEAT_SPREAD}>, and an open lower bound is 0
+  [a:3 b] {a:3 #}  weights: an item of a set, or a child of {...}, followed by :n
+                   is chosen n times as often. Breaking change: [x:1] used to be
+                   the three characters x, : and 1, which is now written [x\\:1]
+  x-[set]          stop x producing the characters in the set, even through
+                   transforms: words and numbers containing one are dropped, and
+                   a literal containing one is an error
+
+Keyspace and entropy figures are upper bounds: output that more than one sequence
+of parts can produce, such as "abb" from {"a" "ab"}{"b" "bb"}, is counted once per sequence.
+
+Exit codes: 0 on success, 1 when a pattern fails to parse, cannot be generated from or
+has no regular expression, 2 on invalid usage, 3 when stdin cannot be read`;
+
+const cliFormats = ["plain", "json", "ndjson", "csv"];
+
+function csvField(value) {
+    const str = String(value);
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * @param {{pattern: string, password?: string, code?: string, regex?: string, keyspace?: string, entropy?: number}[]} records
+ * @param {string} format
+ * @returns {string}
+ */
+function formatRecords(records, format) {
+    switch (format) {
+        case "json":
+            return JSON.stringify(records, null, 2);
+        case "ndjson":
+            return records.map(x => JSON.stringify(x)).join("\n");
+        case "csv":
+            const columns = Object.keys(records[0] ?? {pattern: 0});
+            return [columns, ...records.map(x => columns.map(c => x[c]))].map(row => row.map(csvField).join(",")).join("\n");
+        default:
+            return records.map(x => x.code ?? x.password ?? x.regex ??
+                `${x.before} -> ${x.after} bytes (${(100 * Math.abs(x.saved) / x.before).toFixed(1)}% ${x.saved < 0 ? "larger" : "smaller"})  ${x.pattern}`
+            ).join("\n");
+    }
+}
+
+/**
+ * Generate from command line arguments without prompting
+ *
+ * @param {string[]} args
+ * @returns {Promise<number>} - exit code
+ */
+async function nodeCli(args) {
+    const { parseArgs } = await import("node:util");
+    let values;
+    try {
+        ({ values } = parseArgs({
+            args,
+            options: {
+                pattern: { type: "string", short: "p", multiple: true, default: [] },
+                stdin: { type: "boolean" },
+                count: { type: "string", short: "n", default: "1" },
+                seed: { type: "string", short: "s" },
+                format: { type: "string", short: "f", default: "plain" },
+                blocklist: { type: "string", short: "b", default: "common" },
+                compile: { type: "boolean" },
+                module: { type: "string" },
+                size: { type: "boolean" },
+                "source-map": { type: "boolean" },
+                regex: { type: "boolean" },
+                help: { type: "boolean", short: "h" },
+            },
+        }));
+    } catch (ex) {
+        console.error(`${ex.message}\n\n${cliUsage}`);
+        return 2;
+    }
+
+    if (values.help) {
+        console.log(cliUsage);
+        return 0;
+    }
+
+    const count = Number(values.count);
+    const patterns = [...values.pattern];
+    if (values.stdin) {
+        try {
+            patterns.push(...fs.readFileSync(0, "utf8").split(/\r?\n/).filter(x => x.trim()));
+        } catch (ex) {
+            console.error(`Cannot read patterns from stdin: ${ex.message}`);
+            return 3;
+        }
+    }
+
+    const usageError = !patterns.length ? "No pattern given" :
+        !Number.isInteger(count) || count < 1 ? `Count must be a positive integer, got '${values.count}'` :
+        !cliFormats.includes(values.format) ? `Format must be one of ${cliFormats.join(", ")}, got '${values.format}'` :
+        values.module !== undefined && !moduleFormats.includes(values.module) ? `Module format must be one of ${moduleFormats.join(", ")}, got '${values.module}'` :
+        values.module !== undefined && !values.compile ? "--module requires --compile" :
+        values.size && !values.compile ? "--size requires --compile" :
+        values["source-map"] && !values.compile ? "--source-map requires --compile" :
+        values.regex && values.compile ? "--regex cannot be combined with --compile" :
+        null;
+    if (usageError) {
+        console.error(`${usageError}\n\n${cliUsage}`);
+        return 2;
+    }
+
+    if (values.seed !== undefined)
+        setSeed(values.seed);
+    // one stream for the whole run, so seeded passwords differ from each other
+    const source = randomSeed === null ? randomSource : seededSource(randomSeed);
+
+    const records = [];
+    for (const pattern of patterns) {
+        try {
+            records.push(...cliRecords(pattern, values, count, source));
+        } catch (ex) {
+            // whatever stops a pattern being used, from a parse error to a failing policy or a missing file
+            const arrow = ex instanceof ParseError ? `${" ".repeat(ex.index)}^\n` : "";
+            console.error(`${pattern}\n${arrow}${ex.message}`);
+            return 1;
+        }
+    }
+
+    console.log(formatRecords(records, values.format));
+    return 0;
+}
+
+/**
+ * Records the command line prints for {pattern}
+ *
+ * @param {string} pattern
+ * @param {Object} values - parsed options
+ * @param {number} count
+ * @param {RandomSource} source
+ * @returns {Object[]}
+ */
+function cliRecords(pattern, values, count, source) {
+    const tree = new Parser().parse(pattern);
+    if (values.regex) {
+        const regex = tree.toRegExp();
+        if (!regex)
+            throw new Error("Pattern cannot be expressed as a regular expression");
+        return [{ pattern, regex: String(regex) }];
+    }
+
+    const stats = { keyspace: tree.keyspace().toString(), entropy: Number(tree.entropy().toFixed(2)) };
+    if (values.compile) {
+        const compileTree = optimize => values.module ?
+            tree.toModule(values.module, randomSeed, undefined, optimize) :
+            tree.toString(randomSeed, optimize);
+        if (values.size) {
+            const before = compileTree(false).length;
+            const after = compileTree(true).length;
+            return [{ pattern, before, after, saved: before - after }];
+        }
+        if (values["source-map"]) {
+            const { code, map } = tree.toSourceMapped(values.module ?? "expression", randomSeed);
+            return [{ pattern, code: `${code}\n${inlineSourceMap(map)}`, ...stats }];
+        }
+        return [{ pattern, code: compileTree(true), ...stats }];
+    }
+    const screen = values.blocklist === "off" ? null : new Policy({ blocklist: loadBlocklist(values.blocklist) });
+    return Array.from({length: count}, () =>
+        ({ pattern, password: screen ? screen.generate(tree, source).password : tree.evaluate(source), ...stats }));
 }
 
-function browserRepl() {
-    windowObj.tinyConsole.onLine((input) => {
-        const [output, _] = parseRepl(input);
+export function browserRepl() {
+    windowObj.tinyConsole.onLine(async (input) => {
+        const [output, _] = await parseRepl(input, label => windowObj.tinyConsole.readSecret(label));
         windowObj.tinyConsole.write(output);
     })
     windowObj.tinyConsole.suggestions = {
@@ -1023,28 +4649,87 @@ function browserRepl() {
         "Lowercase": "a",
         "Uppercase": "A",
         "Numeric": "#",
+        "Syllable": "s<|4|>",
         "Basic Symbol": "$",
         "Any Symbol": "@",
         "Literal": '"|"',
         "Sample Set": "[|]",
+        "Char Class": "[|:upper:--IO|]",
         "Range": ":|x|-x;",
         "Group": "(|)",
+        "Shuffle Group": "~(|)",
+        "Capture": "(?<|name|>)",
+        "Backreference": "\\k<|name|>",
+        "Transform": "!|upper|",
         "Sample Children": "{|}",
+        "Weight": "{|a:3 #:1|}",
         "Repeat": "<|n|>",
+        "Repeat Range": "<|min-max|>",
+        "Optional": "?|50|%",
+        "Wordlist": "%|eff|%",
+        "Definition": "&|name|;",
+        "Define": ":def |name| = ",
+        "Define Class": ":class |name| = []",
+        "Load Definitions": ":load |path|",
+        "Exclude": "-[|:ambiguous:|]",
+        "Exclude Everywhere": ":exclude [|:ambiguous:|]",
+        "Load Wordlist": ":wordlist |name|",
+        "Seed": ":seed |value|",
+        "Policy": ":policy |strict|",
+        "Blocklist": ":blocklist |common|",
+        "Check": ":check |password|",
+        "Master": ":master",
+        "Site": ":site |site| login counter",
     }
+    windowObj.tinyConsole.secretPrefixes = [":master "]
     windowObj.tinyConsole.renderSuggestions()
 }
 
-(async ()=>{
-    if (windowObj?.tinyConsole) {
-        browserRepl();
-    } else {
-        fs = await import("node:fs");
-        const readline = await import("node:readline");
-        const rl = readline.createInterface({
-            input: process.stdin,
-            output: process.stdout,
-        })
-        nodeRepl(rl);
-    }
-})()
+/**
+ * Run the command line interface, or the interactive prompt when there are no arguments
+ *
+ * @param {string[]} [args]
+ */
+export async function nodeMain(args = process.argv.slice(2)) {
+    if (args.length) {
+        process.exitCode = await nodeCli(args);
+        return;
+    }
+    const readline = await import("node:readline");
+    const { Writable } = await import("node:stream");
+    let muted = false;
+    const output = new Writable({
+        write(chunk, encoding, callback) {
+            if (!muted)
+                process.stdout.write(chunk, encoding);
+            callback();
+        },
+    });
+    const rl = readline.createInterface({
+        input: process.stdin,
+        output,
+        terminal: process.stdout.isTTY,
+    })
+    await nodeRepl(rl, value => muted = value);
+}
+
+/**
+ * Whether Node was started with this module as its script. Real paths are compared, so running
+ * it through a symlink such as an npm bin shim still counts.
+ *
+ * @returns {boolean}
+ */
+function isMainModule() {
+    const script = globalThis.process?.argv?.[1];
+    if (!script || !fs)
+        return false;
+    try {
+        return fs.realpathSync(script) === fs.realpathSync(import.meta.filename);
+    } catch {
+        return false;
+    }
+}
+
+// only when run as a script, so importing the module has no side effects
+if (isMainModule())
+    nodeMain();
@@ -1 +0,0 @@
-function M(r,e,i){let a=i._,o=!1;function c(t,{next:s,state:n}){s(n)}function u(t,s,n){if(o||!t.type)return;let f,m={},_={path:s,state:n,next:(l=n)=>{s.push(t);for(let p in t){if(p==="type")continue;let h=t[p];if(h&&typeof h=="object")if(Array.isArray(h)){let b={};h.forEach((k,j)=>{if(k&&typeof k=="object"){let g=u(k,s,l);g&&(b[j]=g)}}),Object.keys(b).length>0&&(m[p]=h.map((k,j)=>b[j]??k))}else{let b=u(h,s,l);b&&(m[p]=b)}}if(s.pop(),Object.keys(m).length>0)return D(t,m)},stop:()=>{o=!0},visit:(l,p=n)=>{s.push(t);let h=u(l,s,p)??l;return s.pop(),h}},E=i[t.type]??c;if(a){let l;f=a(t,{..._,next:(p=n)=>(n=p,l=E(t,{..._,state:p}),l)}),!f&&l&&(f=l)}else f=E(t,_);if(f||Object.keys(m).length>0&&(f=D(t,m)),f)return f}return u(r,[],e)??r}function D(r,e){let i={},a=Object.getOwnPropertyDescriptors(r);for(let o in a)Object.defineProperty(i,o,a[o]);for(let o in e)i[o]=e[o];return i}function x(r,e){if(r.type==="MemberExpression")return!r.computed&&x(r.object,r);if(r.type!=="Identifier")return!1;switch(e?.type){case"MemberExpression":return e.computed||r===e.object;case"MethodDefinition":return e.computed;case"MetaProperty":return e.meta===r;case"PropertyDefinition":return e.computed||r===e.value;case"Property":return e.computed||r===e.value;case"ExportSpecifier":case"ImportSpecifier":return r===e.local;case"LabeledStatement":case"BreakStatement":case"ContinueStatement":return!1;default:return!0}}function A(r){let e=new WeakMap,i=new Map,a=new w(null,!1),o=[],c=a;function u(t,s){e.set(t,c=new w(c,s))}M(r,null,{_(t,s){switch(t.type){case"Identifier":let n=s.path.at(-1);n&&x(t,n)&&o.push([c,t]);return;case"ImportSpecifier":c.declarations.set(t.local.name,t);return;case"ExportNamedDeclaration":if(t.source){e.set(t,c=new w(c,!0));for(let f of t.specifiers)c.declarations.set(f.local.name,f);return}break;case"FunctionExpression":case"FunctionDeclaration":case"ArrowFunctionExpression":t.type==="FunctionDeclaration"?(t.id&&c.declarations.set(t.id.name,t),u(t,!1)):(u(t,!1),t.type==="FunctionExpression"&&t.id&&c.declarations.set(t.id.name,t));for(let f of t.params)for(let m of S(f))c.declarations.set(m,t);break;case"ForStatement":case"ForInStatement":case"ForOfStatement":case"BlockStatement":case"SwitchStatement":u(t,!0);break;case"ClassDeclaration":case"VariableDeclaration":c.add_declaration(t);break;case"CatchClause":if(u(t,!0),t.param)for(let f of S(t.param))t.param&&c.declarations.set(f,t.param);break}s.next(),e.has(t)&&c!==null&&c.parent&&(c=c.parent)}});for(let t=o.length-1;t>=0;--t){let[s,n]=o[t];s.references.has(n.name)||v(s,n.name),s.find_owner(n.name)||i.set(n.name,n)}return{map:e,scope:a,globals:i}}function v(r,e){r.references.add(e),r.parent&&v(r.parent,e)}var w=class{constructor(e,i){this.parent=e,this.block=i,this.declarations=new Map,this.initialised_declarations=new Set,this.references=new Set}add_declaration(e){if(e.type==="VariableDeclaration")if(e.kind==="var"&&this.block&&this.parent)this.parent.add_declaration(e);else for(let i of e.declarations)for(let a of S(i.id))this.declarations.set(a,e),i.init&&this.initialised_declarations.add(a);else e.id&&this.declarations.set(e.id.name,e)}find_owner(e){return this.declarations.has(e)?this:this.parent&&this.parent.find_owner(e)}has(e){return this.declarations.has(e)||!!this.parent&&this.parent.has(e)}};function S(r){return y(r).map(e=>e.name)}function y(r,e=[]){switch(r.type){case"Identifier":e.push(r);break;case"MemberExpression":let i=r;for(;i.type==="MemberExpression";)i=i.object;e.push(i);break;case"ObjectPattern":for(let a of r.properties)a.type==="RestElement"?y(a.argument,e):y(a.value,e);break;case"ArrayPattern":for(let a of r.elements)a&&y(a,e);break;case"RestElement":y(r.argument,e);break;case"AssignmentPattern":y(r.left,e);break}return e}export{w as Scope,A as analyze,y as extract_identifiers,S as extract_names};
@@ -0,0 +1,44 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { generate } from "../genpass.mjs";
+import { repl, run } from "./helpers.mjs";
+
+test(":check rejects common passwords and accepts others", () => {
+    const output = repl([":check Password", ":check vq7-Xk2m-Tz9p-Lw4r"]);
+    assert.match(output, /Rejected: found in blocklist common/);
+    assert.match(output, /Accepted, not found in common/);
+});
+
+test("generated output is screened against the active blocklist", () => {
+    const output = repl([":blocklist", ...Array(10).fill('{"password" "qwerty" "vq7Xk2mTz9"}')]);
+    assert.match(output, /Screening output against common/);
+    assert.doesNotMatch(output, /^(password|qwerty)$/m);
+    assert.equal(output.match(/^vq7Xk2mTz9$/gm)?.length, 10, output);
+});
+
+test("the command line screens against the common list unless told not to", () => {
+    const pattern = '{"password" "qwerty" "vq7Xk2mTz9"}';
+    assert.deepEqual(run(["-p", pattern, "-n", "20"]).stdout.trim().split("\n"), Array(20).fill("vq7Xk2mTz9"));
+    assert.equal(run(["-p", '"password"']).status, 1);
+    assert.equal(run(["-p", '"password"', "--blocklist", "off"]).stdout, "password\n");
+});
+
+test("generate screens against a blocklist on request", () => {
+    const pattern = '{"Password" "vq7Xk2mTz9"}';
+    assert.deepEqual(generate(pattern, { seed: "screen", count: 20, blocklist: "common" }), Array(20).fill("vq7Xk2mTz9"));
+    assert.ok(generate(pattern, { seed: "screen", count: 20 }).includes("Password"));
+});
+
+test("a plain list of passwords is loaded as a blocklist", () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "genpass-"));
+    try {
+        const file = path.join(directory, "list.txt");
+        fs.writeFileSync(file, "hunter2\ncorrect\n");
+        assert.deepEqual(generate('{"hunter2" "other"}', { seed: "list", count: 10, blocklist: file }), Array(10).fill("other"));
+    } finally {
+        fs.rmSync(directory, { recursive: true });
+    }
+});
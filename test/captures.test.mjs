@@ -0,0 +1,24 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import vm from "node:vm";
+import { compile, generate, parse, ParseError } from "../genpass.mjs";
+
+test("a backreference repeats the captured text", () => {
+    for (const password of generate("(?<x>a<4>)#\\k<x>", { seed: "captures", count: 50 })) {
+        assert.match(password, /^([a-z]{4})\d\1$/);
+    }
+});
+
+test("compiled captures named like Object.prototype members", () => {
+    for (const name of ["__proto__", "toString", "constructor"]) {
+        const pattern = `(?<${name}>###)\\k<${name}>`;
+        const password = vm.runInNewContext(compile(pattern, { seed: "proto" }));
+        assert.match(password, /^(\d{3})\1$/, name);
+        assert.equal(password, generate(pattern, { seed: "proto" })[0], name);
+    }
+});
+
+test("backreferences need an earlier, closed capture", () => {
+    assert.throws(() => parse("\\k<x>(?<x>a)"), ParseError);
+    assert.throws(() => parse("(?<x>a\\k<x>)"), ParseError);
+});
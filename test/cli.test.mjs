@@ -0,0 +1,51 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import fs from "node:fs";
+import { run, script } from "./helpers.mjs";
+
+test("passwords in the requested format", () => {
+    const { status, stdout } = run(["-p", "a<6>", "-p", "#<4>", "-n", "2", "-f", "json", "-s", "cli"]);
+    assert.equal(status, 0);
+    const records = JSON.parse(stdout);
+    assert.deepEqual(records.map(x => x.pattern), ["a<6>", "a<6>", "#<4>", "#<4>"]);
+    assert.match(records[0].password, /^[a-z]{6}$/);
+    assert.equal(records[2].keyspace, "10000");
+});
+
+test("patterns from stdin", () => {
+    const { status, stdout } = run(["--stdin"], "a\n\n#\n");
+    assert.equal(status, 0);
+    assert.match(stdout, /^[a-z]\n\d\n$/);
+});
+
+test("exit code 1 for a pattern that fails to parse or to generate", () => {
+    const parse = run(["-p", "a("]);
+    assert.equal(parse.status, 1);
+    assert.match(parse.stderr, /a\(\n {2}\^\nExpected '\)'/);
+
+    // past 2^53, where numbers stop being exact
+    const generate = run(["-p", ":0-99999999999999999;"]);
+    assert.equal(generate.status, 1);
+    assert.match(generate.stderr, /Cannot pick uniformly/);
+
+    assert.equal(run(["--regex", "-p", "(?<x>a)~(\\k<x>b)"]).status, 1);
+});
+
+test("exit code 2 on invalid usage", () => {
+    assert.equal(run(["-p", "a", "-n", "0"]).status, 2);
+    assert.equal(run(["--bogus"]).status, 2);
+    assert.equal(run(["-p", "a", "--size"]).status, 2);
+});
+
+test("exit code 3 when stdin cannot be read", () => {
+    // reading a directory fails with EISDIR
+    const directory = fs.openSync(".", "r");
+    try {
+        const { status, stderr } = spawnSync(process.execPath, [script, "--stdin"], { stdio: [directory, "pipe", "pipe"], encoding: "utf8" });
+        assert.equal(status, 3, stderr);
+        assert.match(stderr, /Cannot read patterns from stdin/);
+    } finally {
+        fs.closeSync(directory);
+    }
+});
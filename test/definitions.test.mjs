@@ -0,0 +1,22 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { repl } from "./helpers.mjs";
+
+test("definitions and classes are usable in later patterns", () => {
+    const output = repl([":def word = a<4>", ":class vowel = [aeiou]", '&word;"-"&word;', "[:vowel:]<6>"]);
+    assert.match(output, /Defined &word;/);
+    assert.match(output, /Defined \[:vowel:\] and &vowel;/);
+    assert.match(output, /^[a-z]{4}-[a-z]{4}$/m);
+    assert.match(output, /^[aeiou]{6}$/m);
+});
+
+test("an unknown definition is reported", () => {
+    assert.match(repl(["&nope;"]), /Unknown definition 'nope'/);
+});
+
+test("a definition holding a capture compiles when used more than once", () => {
+    const output = repl([":seed defs", ':def d = (?<x>##)"-"\\k<x>', '&d;"/"&d;']);
+    assert.doesNotMatch(output, /not defined/);
+    const [, first, second] = output.match(/^(\d\d)-\1\/(\d\d)-\2$/m) ?? [];
+    assert.ok(first && second, output);
+});
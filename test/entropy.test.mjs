@@ -0,0 +1,19 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { entropy } from "../genpass.mjs";
+
+test("keyspace multiplies the choices of each part", () => {
+    const report = entropy("aa#");
+    assert.equal(report.keyspace, 26n * 26n * 10n);
+    assert.equal(report.bits.toFixed(4), Math.log2(26 * 26 * 10).toFixed(4));
+    assert.deepEqual(report.length, [3, 3]);
+});
+
+test("keyspace of . covers the printable ASCII characters", () => {
+    assert.equal(entropy(".").keyspace, 95n);
+});
+
+test("keyspace counts an output once per sequence of parts producing it", () => {
+    // "abb" comes from both "a"+"bb" and "ab"+"b", so the figure is an upper bound
+    assert.equal(entropy('{"a" "ab"}{"b" "bb"}').keyspace, 4n);
+});
@@ -0,0 +1,42 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { generate, parse, ParseError } from "../genpass.mjs";
+import { repl } from "./helpers.mjs";
+
+/**
+ * @param {string} pattern
+ * @returns {string}
+ */
+function allOutput(pattern) {
+    return generate(pattern, { seed: pattern, count: 200 }).join("");
+}
+
+test("excluded characters stay out of transformed output", () => {
+    for (const pattern of ["(a<40>)!upper-[:ambiguous:]", "(a<40>)!leet-[:ambiguous:]", "(a<40>)-[:ambiguous:]!upper", "(a<8>)!title-[:ambiguous:]"]) {
+        assert.doesNotMatch(allOutput(pattern), /[0O1lI|]/, pattern);
+    }
+});
+
+test("numbers containing an excluded character are dropped", () => {
+    assert.deepEqual([...new Set(generate(":20-39;-[:ambiguous:]", { seed: "range", count: 500 }))].sort(),
+        ["22", "23", "24", "25", "26", "27", "28", "29", "32", "33", "34", "35", "36", "37", "38", "39"]);
+    assert.throws(() => parse(":10-19;-[:ambiguous:]"), ParseError);
+});
+
+test("words containing an excluded character are dropped", () => {
+    const words = generate("%eff-short%-[:ambiguous:]", { seed: "words", count: 200 });
+    assert.ok(words.every(x => /^[a-z]+$/.test(x) && !x.includes("l")));
+});
+
+test("exclusions that cannot be honoured are parse errors", () => {
+    assert.throws(() => parse('"hello"-[l]'), err => err instanceof ParseError && err.index === 7);
+    assert.throws(() => parse("(?<x>a<3>)(\\k<x>)!upper-[I]"), ParseError);
+    assert.throws(() => parse("[ab]-[ab]"), ParseError);
+});
+
+test(":exclude applies to every later pattern", () => {
+    const output = repl([":exclude [:ambiguous:]", "(a<40>)!upper", "(a<40>)!leet"]);
+    const passwords = output.split("\n").filter(x => /^[A-Z]{40}$|^[a-z0-9]{40}$/.test(x));
+    assert.equal(passwords.length, 2, output);
+    assert.doesNotMatch(passwords.join(""), /[0O1lI|]/);
+});
@@ -0,0 +1,27 @@
+import { spawnSync } from "node:child_process";
+import { fileURLToPath } from "node:url";
+
+export const script = fileURLToPath(new URL("../genpass.mjs", import.meta.url));
+
+/**
+ * Run genpass.mjs with {args}, feeding it {input} on stdin
+ *
+ * @param {string[]} args
+ * @param {string} [input]
+ * @returns {{status: number, stdout: string, stderr: string}}
+ */
+export function run(args, input = "") {
+    const { status, stdout, stderr } = spawnSync(process.execPath, [script, ...args], { input, encoding: "utf8", timeout: 30000 });
+    return { status, stdout, stderr };
+}
+
+/**
+ * Pipe {lines} into the interactive prompt and return what it printed
+ *
+ * @param {string[]} lines
+ * @returns {string}
+ */
+export function repl(lines) {
+    const { stdout, stderr } = run([], lines.join("\n") + "\n");
+    return stdout + stderr;
+}
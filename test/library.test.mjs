@@ -0,0 +1,40 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+import { generate, loadBlocklist, PolicyError } from "../genpass.mjs";
+import { script } from "./helpers.mjs";
+
+test("importing the module has no side effects", () => {
+    const { status, stdout } = spawnSync(process.execPath, [
+        "--input-type=module", "-e", `const m = await import(${JSON.stringify(pathToFileURL(script).href)}); console.log(typeof m.generate)`,
+    ], { input: "a\n", encoding: "utf8" });
+    assert.equal(status, 0);
+    assert.equal(stdout, "function\n");
+});
+
+test("running through a symlink starts the command line", () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "genpass-"));
+    try {
+        const link = path.join(directory, "genpass");
+        fs.symlinkSync(script, link);
+        const { status, stdout } = spawnSync(process.execPath, [link, "-p", "#<5>"], { encoding: "utf8" });
+        assert.equal(status, 0);
+        assert.match(stdout, /^\d{5}\n$/);
+    } finally {
+        fs.rmSync(directory, { recursive: true });
+    }
+});
+
+test("library callers can screen against a blocklist through a policy", () => {
+    const pattern = '{"qwerty" "vq7Xk2mTz9"}';
+    const expected = Array(10).fill("vq7Xk2mTz9");
+    assert.deepEqual(generate(pattern, { seed: "lib", count: 10, policy: "blocklist=common" }), expected);
+    assert.deepEqual(generate(pattern, { seed: "lib", count: 10, policy: { blocklist: "common" } }), expected);
+    assert.deepEqual(generate(pattern, { seed: "lib", count: 10, policy: { blocklist: loadBlocklist("common") } }), expected);
+    assert.ok(loadBlocklist("common").has("QWERTY"));
+    assert.throws(() => generate('"qwerty"', { policy: "blocklist=common" }), PolicyError);
+});
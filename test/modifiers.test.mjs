@@ -0,0 +1,20 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { entropy, generate, parse, ParseError } from "../genpass.mjs";
+
+test("optional nodes are sometimes absent", () => {
+    const outputs = new Set(generate("#a?", { seed: "optional", count: 200 }).map(x => x.length));
+    assert.deepEqual([...outputs].sort(), [1, 2]);
+    assert.equal(entropy("a?").keyspace, 27n);
+});
+
+test("presence probability", () => {
+    const present = generate('"x"?10%', { seed: "presence", count: 4000 }).filter(x => x).length;
+    assert.ok(Math.abs(present / 4000 - 0.1) < 0.02, String(present));
+});
+
+test("modifiers with nothing to modify are parse errors at the modifier", () => {
+    for (const [pattern, index] of [["?a", 0], ["?50%a", 0], ["<3>", 0], ["a(<3>)", 2], ["!upper", 0], ["(-[a])", 1]]) {
+        assert.throws(() => parse(pattern), err => err instanceof ParseError && err.index === index, pattern);
+    }
+});
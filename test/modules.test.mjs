@@ -0,0 +1,32 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import vm from "node:vm";
+import { compile, generate } from "../genpass.mjs";
+
+const pattern = "a<4>#<2-3>";
+
+test("esm modules export generate", async () => {
+    const code = compile(pattern, { format: "esm", seed: "modules" });
+    const module = await import(`data:text/javascript,${encodeURIComponent(code)}`);
+    assert.deepEqual(module.generate({ count: 3 }), generate(pattern, { seed: "modules", count: 3 }));
+    assert.equal(module.default, module.generate);
+});
+
+test("cjs modules assign module.exports", () => {
+    const module = { exports: {} };
+    vm.runInNewContext(compile(pattern, { format: "cjs" }), { module, crypto });
+    for (const password of module.exports.generate({ count: 5 }))
+        assert.match(password, /^[a-z]{4}\d{2,3}$/);
+});
+
+test("iife modules assign the named global", () => {
+    const context = { crypto };
+    vm.runInNewContext(compile(pattern, { format: "iife", name: "pw" }), context);
+    assert.match(context.pw.generate()[0], /^[a-z]{4}\d{2,3}$/);
+});
+
+test("a supplied rng replaces the built-in source", () => {
+    const context = { crypto };
+    vm.runInNewContext(compile("a<3>", { format: "iife", name: "pw" }), context);
+    assert.deepEqual([...context.pw.generate({ count: 2, rng: { randomInt: min => min } })], ["aaa", "aaa"]);
+});
@@ -0,0 +1,46 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import vm from "node:vm";
+import { compile, generate } from "../genpass.mjs";
+import { run } from "./helpers.mjs";
+
+const patterns = [
+    "{[ab][cd]}<10>", "{a:3 #}<6>", "{a}<4>", "{[ab] \"c\"}<6>", "({a A})!upper<5>", "(a)(a)(a)",
+    "((a#)<2>)<2>", "{. :1-5;}<4>#?", "~(A a #)", "(?<x>a<3>)\\k<x>", "(a<2-5>)(a<2-5>)",
+];
+
+test("optimized compiled code draws exactly like the interpreter", () => {
+    for (const pattern of patterns) {
+        for (const seed of ["x", "y", "z"]) {
+            const expected = generate(pattern, { seed })[0];
+            for (const optimize of [true, false]) {
+                const code = compile(pattern, { seed, optimize });
+                assert.equal(vm.runInNewContext(code), expected, `${pattern} with seed ${seed}, optimize ${optimize}`);
+            }
+        }
+    }
+});
+
+test("a {} group of single characters compiles to nested samples", () => {
+    assert.ok(compile("{[ab][cd]}").length < compile("{[ab][cd]}", { optimize: false }).length);
+});
+
+test("optimizing never makes the code longer", () => {
+    for (const pattern of [...patterns, "aa#", "{(aa)(bb)}<3>"]) {
+        for (const format of ["expression", "esm"]) {
+            const before = compile(pattern, { format, optimize: false }).length;
+            assert.ok(compile(pattern, { format }).length <= before, `${pattern} as ${format}`);
+        }
+    }
+});
+
+test("a sequence of one element compiles without joining an array", () => {
+    assert.ok(!compile("(a)(a)(a)").includes("].join('')"));
+});
+
+test("--size reports the change without a negative percentage", () => {
+    const { status, stdout } = run(["-p", "aa#", "-p", "{(aa)(bb)}<3>", "-p", "(a)(a)(a)", "--compile", "--size"]);
+    assert.equal(status, 0);
+    for (const line of stdout.trim().split("\n"))
+        assert.match(line, /^(\d+) -> (\d+) bytes \(\d+\.\d% (smaller|larger)\)  /);
+});
@@ -0,0 +1,22 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { generate, PolicyError } from "../genpass.mjs";
+
+test("output is regenerated until it complies", () => {
+    const passwords = generate("[a-z0-9]<12>", { seed: "policy", count: 50, policy: { required: ["digit"], maxRepeat: 1 } });
+    for (const password of passwords) {
+        assert.match(password, /\d/);
+        assert.doesNotMatch(password, /(.)\1/);
+    }
+});
+
+test("presets and overrides", () => {
+    const [password] = generate("~(A a # $ .<8>)", { seed: "strict", policy: "strict max=20" });
+    assert.ok(password.length >= 12 && password.length <= 20);
+    assert.match(password, /[A-Z]/);
+});
+
+test("a pattern that can never comply fails without generating", () => {
+    assert.throws(() => generate("a<4>", { policy: "basic" }), err =>
+        err instanceof PolicyError && err.reasons.some(x => x.includes("at most 4 characters")));
+});
@@ -0,0 +1,52 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import { byteSource, generate, nodeCryptoSource } from "../genpass.mjs";
+
+/**
+ * @param {number[]} words
+ */
+function wordSource(words) {
+    const bytes = new Uint8Array(words.length * 4);
+    const view = new DataView(bytes.buffer);
+    words.forEach((word, i) => view.setUint32(i * 4, word));
+    let offset = 0;
+    return byteSource(count => bytes.subarray(offset, offset += count));
+}
+
+test("words from the incomplete top bucket are redrawn", () => {
+    // 2^32 % 3 === 1, so only 0xFFFFFFFF falls outside a whole bucket
+    const source = wordSource([0xFFFFFFFF, 4]);
+    assert.equal(source.randomInt(0, 3), 1);
+});
+
+test("a supplied byte source drives generation", () => {
+    const source = wordSource([0, 1, 25]);
+    assert.deepEqual(generate("aaa", { random: source }), ["abz"]);
+});
+
+test("node crypto source generates within the pattern", () => {
+    const [password] = generate("#<20>", { random: nodeCryptoSource(crypto) });
+    assert.match(password, /^\d{20}$/);
+});
+
+test("ranges wider than 2^32 combine two words", () => {
+    // the top 21 bits of the first word, then all of the second
+    const source = wordSource([0x800, 5]);
+    assert.equal(source.randomInt(0, 2 ** 40), 0x100000005);
+});
+
+test("wide ranges stay within bounds and spread across them", () => {
+    const numbers = generate(":0-99999999999;", { seed: "wide", count: 2000 }).map(Number);
+    assert.ok(numbers.every(x => Number.isInteger(x) && x >= 0 && x <= 99999999999));
+    // each leading digit, standing for a tenth of the range, turns up about 200 times
+    const tenths = Array(10).fill(0);
+    for (const x of numbers)
+        tenths[Math.floor(x / 1e10)]++;
+    assert.ok(tenths.every(x => x > 130 && x < 270), String(tenths));
+});
+
+test("node crypto source handles ranges past its 2^48 limit", () => {
+    const value = nodeCryptoSource(crypto).randomInt(0, 2 ** 50);
+    assert.ok(Number.isInteger(value) && value >= 0 && value < 2 ** 50);
+});
@@ -0,0 +1,64 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { generate, matcher } from "../genpass.mjs";
+import { run } from "./helpers.mjs";
+
+test("the regular expression accepts everything the pattern generates", () => {
+    const patterns = [
+        'a<2-3>#', '"x.y*(z)"[+?^$]', "[A-Z--IO]<4>", ":1-300;", "{a:3 #}<5>", "~(A a #)", "A?a<2,4>",
+        "(?<x>a<2>)\\k<x>", '{"a" "ab"}!title', "(a<4>)!upper-[:ambiguous:]", "%eff-short%",
+    ];
+    for (const pattern of patterns) {
+        const { regex } = matcher(pattern);
+        assert.ok(regex, pattern);
+        for (const password of generate(pattern, { seed: pattern, count: 200 }))
+            assert.match(password, regex, pattern);
+    }
+});
+
+test("the regular expression rejects what the pattern cannot generate", () => {
+    const cases = [
+        ['"x.y"', ["xzy", "x.yy"]],
+        ["[A-Z--IO]<4>", ["ABCI", "ABC", "abcd"]],
+        [":1-300;", ["0", "301", "07"]],
+        ["~(A a #)", ["Aa1A", "aa1", "AB1"]],
+        ["(?<x>a<2>)\\k<x>", ["abba", "abab1"]],
+        ["(a<4>)!upper-[:ambiguous:]", ["ABCI", "abcd"]],
+    ];
+    for (const [pattern, misses] of cases) {
+        const { regex } = matcher(pattern);
+        for (const miss of misses)
+            assert.doesNotMatch(miss, regex, `${pattern} against ${miss}`);
+    }
+});
+
+test("patterns beyond a regular expression fall back to matching the tree", () => {
+    const cases = [
+        ["~(a a a a a a a a)", ["abcdefg", "abcdefgh1"]],
+        ['~([ab]? [ab]? "c"<1-2>)', ["aaa", "abacc", "ccc"]],
+        ["(a<3>)!title", ["abc", "ABc"]],
+        ["((?<x>a)?\\k<x>)<2>", ["abc"]],
+    ];
+    for (const [pattern, misses] of cases) {
+        const { regex, test } = matcher(pattern);
+        assert.equal(regex, null, pattern);
+        for (const password of generate(pattern, { seed: pattern, count: 50 }))
+            assert.ok(test(password), `${pattern} against ${password}`);
+        for (const miss of misses)
+            assert.ok(!test(miss), `${pattern} against ${miss}`);
+    }
+});
+
+test("matching a shuffle of identical children doesn't try every order", () => {
+    const { test: matches } = matcher("~(a a a a a a a a a a)");
+    const start = performance.now();
+    assert.ok(matches("abcdefghij"));
+    assert.ok(!matches("abcdefghi1"));
+    assert.ok(performance.now() - start < 1000);
+});
+
+test("--regex prints the anchored expression", () => {
+    const { status, stdout } = run(["--regex", "-p", "a<2-3>#"]);
+    assert.equal(status, 0);
+    assert.equal(stdout.trim(), "/^[a-z]{2,3}[0-9]$/");
+});
@@ -0,0 +1,23 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { entropy, generate, parse } from "../genpass.mjs";
+
+test("repeat ranges pick a length within the bounds", () => {
+    const lengths = new Set(generate("a<2-5>", { seed: "lengths", count: 500 }).map(x => x.length));
+    assert.deepEqual([...lengths].sort(), [2, 3, 4, 5]);
+});
+
+test("open bounds", () => {
+    assert.deepEqual(parse("a<8,>").lengthBounds(), [8, 16]);
+    assert.deepEqual(parse("a<,4>").lengthBounds(), [0, 4]);
+});
+
+test("keyspace sums every length", () => {
+    assert.equal(entropy("a<2-5>").keyspace, 26n ** 2n + 26n ** 3n + 26n ** 4n + 26n ** 5n);
+    assert.equal(entropy('"x"<0-3>').keyspace, 4n);
+});
+
+test("keyspace of a wide repeat range is computed without enumerating it", { timeout: 5000 }, () => {
+    const digits = entropy("a<1-100000>").keyspace.toString(16).length;
+    assert.ok(digits > 100000);
+});
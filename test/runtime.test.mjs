@@ -0,0 +1,36 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import vm from "node:vm";
+import { byteSource, compile, generate } from "../genpass.mjs";
+
+// between them these reach every runtime helper. The two ranges reject about a quarter and
+// a half of their draws, so the redraws of both the 32-bit and the 53-bit path are taken too.
+const patterns = [
+    "a<8>#<4>", "[ab:3]<5>", "{a:2 #}<6>", "{aaa}!title {aaa}!leet {AA}!lower {aa}!upper", "~(A a #)",
+    ":0-3221225471;<16>", ":0-4503599627370496;<16>",
+];
+
+test("compiled helpers draw exactly like the module functions", () => {
+    for (const pattern of patterns) {
+        for (const seed of ["one", "two", "three"]) {
+            for (const optimize of [false, true]) {
+                const code = compile(pattern, { seed, optimize });
+                assert.equal(vm.runInNewContext(code), generate(pattern, { seed })[0], `${pattern} with seed ${seed}`);
+            }
+        }
+    }
+});
+
+test("unseeded compiled code turns crypto.getRandomValues bytes into the same draws", () => {
+    const bytes = crypto.randomBytes(1 << 16);
+    const reader = () => {
+        let offset = 0;
+        return count => bytes.subarray(offset, offset += count);
+    };
+    for (const pattern of patterns) {
+        const read = reader();
+        const context = { crypto: { getRandomValues: array => array.set(read(array.length)) ?? array } };
+        assert.equal(vm.runInNewContext(compile(pattern), context), generate(pattern, { random: byteSource(reader()) })[0], pattern);
+    }
+});
@@ -0,0 +1,18 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { generate, generateSandboxed } from "../genpass.mjs";
+
+test("sandboxed generation matches the interpreter for a seed", async () => {
+    assert.deepEqual(await generateSandboxed("{a:3 #}<8>", { seed: "sandbox", count: 3 }), generate("{a:3 #}<8>", { seed: "sandbox", count: 3 }));
+});
+
+test("unseeded sandboxed generation draws from the random pool it is handed", async () => {
+    const passwords = await generateSandboxed("a<300>#", { count: 4 });
+    assert.equal(passwords.length, 4);
+    for (const password of passwords)
+        assert.match(password, /^[a-z]{300}\d$/);
+});
+
+test("a generator running past the timeout is stopped", async () => {
+    await assert.rejects(generateSandboxed("(a<1000>)<1000>", { seed: "slow", timeout: 5 }), /timed out after 5ms/);
+});
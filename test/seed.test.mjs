@@ -0,0 +1,13 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { generate } from "../genpass.mjs";
+
+test("the same seed reproduces the same passwords", () => {
+    const first = generate("a<8>#<4>", { seed: "fixture", count: 5 });
+    assert.deepEqual(generate("a<8>#<4>", { seed: "fixture", count: 5 }), first);
+    assert.equal(new Set(first).size, 5);
+});
+
+test("different seeds give different passwords", () => {
+    assert.notDeepEqual(generate("a<16>", { seed: "one" }), generate("a<16>", { seed: "two" }));
+});
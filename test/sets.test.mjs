@@ -0,0 +1,30 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { entropy, generate } from "../genpass.mjs";
+
+/**
+ * @param {string} pattern
+ * @returns {Set<string>}
+ */
+function outputs(pattern) {
+    return new Set(generate(pattern, { seed: pattern, count: 2000 }));
+}
+
+test("sets hold ranges, named classes and negation", () => {
+    assert.equal(entropy("[a-zA-Z0-9]").keyspace, 62n);
+    assert.equal(entropy("[:digit::xdigit:]").keyspace, 22n);
+    assert.equal(entropy("[^aeiou]").keyspace, 90n);
+    assert.ok([...outputs("[^aeiou]")].every(x => !"aeiou".includes(x)));
+});
+
+test("subtraction removes characters from a class", () => {
+    for (const pattern of ["[A-Z--IO]", "[:upper:--IO]"]) {
+        const chars = outputs(pattern);
+        assert.equal(chars.size, 24, pattern);
+        assert.ok(!chars.has("I") && !chars.has("O"), pattern);
+    }
+});
+
+test("[A-IO] is a range followed by a character", () => {
+    assert.deepEqual([...outputs("[A-IO]")].sort(), [..."ABCDEFGHIO"]);
+});
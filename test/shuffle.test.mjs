@@ -0,0 +1,26 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { entropy, generate } from "../genpass.mjs";
+
+test("a shuffle group keeps one of each child in a random order", () => {
+    const passwords = generate("~(A a #)", { seed: "shuffle", count: 300 });
+    for (const password of passwords) {
+        assert.match(password, /^(?=.*[A-Z])(?=.*[a-z])(?=.*\d).{3}$/);
+    }
+    const orders = new Set(passwords.map(x => x.replace(/[A-Z]/, "A").replace(/[a-z]/, "a").replace(/\d/, "#")));
+    assert.equal(orders.size, 6);
+});
+
+test("shuffle keyspace counts every arrangement", () => {
+    assert.equal(entropy("~(A a #)").keyspace, 26n * 26n * 10n * 6n);
+});
+
+test("shuffle keyspace bounds the distinct outputs when counts vary", () => {
+    for (const pattern of ["~([ab]<0-2> #)", "~([ab]<1-3> [xy])", "~([ab]? [ab]<2> c)"]) {
+        const seen = new Set(generate(pattern, { seed: pattern, count: 20000 }));
+        const { keyspace } = entropy(pattern);
+        assert.ok(BigInt(seen.size) <= keyspace, `${pattern}: ${seen.size} outputs, keyspace ${keyspace}`);
+        // small enough that every output turns up
+        assert.equal(BigInt(seen.size), keyspace, pattern);
+    }
+});
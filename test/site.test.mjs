@@ -0,0 +1,29 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { repl } from "./helpers.mjs";
+
+/**
+ * @param {string[]} master - lines setting the master passphrase
+ * @returns {string}
+ */
+function derive(master) {
+    const output = repl([...master, ":site example.com alice 2", "a<16>"]);
+    const [, password] = output.match(/>>> ([a-z]{16})\nderived for example\.com \(alice\) #2/) ?? [];
+    assert.ok(password, output);
+    return password;
+}
+
+test("derived passwords depend only on master, site, login and counter", () => {
+    assert.equal(derive([":master correct horse"]), derive([":master correct horse"]));
+    assert.notEqual(derive([":master correct horse"]), derive([":master correct horsf"]));
+});
+
+test("the passphrase keeps its whitespace", () => {
+    assert.notEqual(derive([":master correct horse"]), derive([":master correct  horse "]));
+});
+
+test(":master alone reads the passphrase from the next line without printing it", () => {
+    const output = repl([":master", " correct horse", ":site example.com alice 2", "a<16>"]);
+    assert.doesNotMatch(output, /correct horse/);
+    assert.equal(derive([":master", " correct horse"]), derive([":master  correct horse"]));
+});
@@ -0,0 +1,69 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { compile } from "../genpass.mjs";
+import { run } from "./helpers.mjs";
+
+const base64Digits = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+
+/**
+ * Decode the mappings of a version 3 source map into absolute positions
+ *
+ * @param {string} mappings
+ * @returns {{line: number, column: number, sourceLine?: number, sourceColumn?: number, name?: number}[]}
+ */
+function decodeMappings(mappings) {
+    const segments = [];
+    const state = [0, 0, 0, 0, 0];
+    mappings.split(";").forEach((line, lineIndex) => {
+        state[0] = 0;
+        for (const segment of line ? line.split(",") : []) {
+            const values = [];
+            let value = 0, shift = 0;
+            for (const char of segment) {
+                const digit = base64Digits.indexOf(char);
+                value += (digit & 31) << shift;
+                shift += 5;
+                if (!(digit & 32)) {
+                    values.push(value & 1 ? -(value >>> 1) : value >>> 1);
+                    value = shift = 0;
+                }
+            }
+            values.forEach((x, i) => state[i] += x);
+            const [column, , sourceLine, sourceColumn, name] = state;
+            segments.push(values.length > 1 ? { line: lineIndex, column, sourceLine, sourceColumn, name } : { line: lineIndex, column });
+        }
+    });
+    return segments;
+}
+
+/**
+ * @param {string} code
+ * @param {string} text - occurring once in {code}
+ * @returns {{line: number, column: number}}
+ */
+function positionOf(code, text) {
+    const before = code.slice(0, code.indexOf(text)).split("\n");
+    return { line: before.length - 1, column: before[before.length - 1].length };
+}
+
+test("each node's code maps back to its span of the pattern", () => {
+    const pattern = 'a#"xyz":3-9;';
+    const { code, map } = compile(pattern, { sourceMap: true, optimize: false });
+    assert.equal(map.version, 3);
+    assert.deepEqual(map.sourcesContent, [pattern]);
+
+    const segments = decodeMappings(map.mappings);
+    const mappedAt = ({ line, column }) => segments.findLast(x => x.line < line || x.line === line && x.column <= column);
+    for (const [text, nodeName, sourceColumn] of [['"xyz"', "LiteralNode", 2], ["(3,10)", "RangeNode", 7]]) {
+        const segment = mappedAt(positionOf(code, text));
+        assert.equal(map.names[segment.name], nodeName, text);
+        assert.equal(segment.sourceColumn, sourceColumn, text);
+    }
+});
+
+test("--source-map appends the map as an inline comment", () => {
+    const { stdout, status } = run(["-p", "a#", "--compile", "--source-map"]);
+    assert.equal(status, 0);
+    const [, base64] = stdout.match(/\/\/# sourceMappingURL=data:application\/json;charset=utf-8;base64,(\S+)/);
+    assert.deepEqual(JSON.parse(atob(base64)).sourcesContent, ["a#"]);
+});
@@ -0,0 +1,15 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { entropy, generate } from "../genpass.mjs";
+
+test("syllables are an onset followed by a vowel", () => {
+    for (const password of generate("s<4>", { seed: "syllables", count: 100 })) {
+        assert.match(password, /^(?:(?:[bdfghjklmnprstvwz]|[cst]h|[bdfgpt]r|[bfgps]l|st)[aeiou]){4}$/);
+    }
+});
+
+test("repeated syllables split in one way, so keyspace is exact", () => {
+    const single = entropy("s").keyspace;
+    assert.equal(single, 32n * 5n);
+    assert.equal(entropy("s<3>").keyspace, single ** 3n);
+});
@@ -0,0 +1,19 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { entropy, generate } from "../genpass.mjs";
+
+test("transforms apply to the output of a group", () => {
+    assert.deepEqual(generate('("hello world")!upper'), ["HELLO WORLD"]);
+    assert.deepEqual(generate('("HELLO")!lower'), ["hello"]);
+    assert.deepEqual(generate('("hello world")!title'), ["Hello World"]);
+    assert.deepEqual(generate('("leet")!leet'), ["l337"]);
+});
+
+test("transforms stack in the order they are written", () => {
+    assert.deepEqual(generate('("abc")!upper!lower'), ["abc"]);
+});
+
+test("case transforms narrow the keyspace", () => {
+    assert.equal(entropy("([aA])!upper").keyspace, 1n);
+    assert.match(generate("(a<8>)!upper", { seed: "upper" })[0], /^[A-Z]{8}$/);
+});
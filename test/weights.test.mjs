@@ -0,0 +1,29 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { entropy, generate } from "../genpass.mjs";
+
+/**
+ * @param {string} pattern
+ * @returns {Map<string, number>}
+ */
+function frequencies(pattern) {
+    const counts = new Map();
+    for (const x of generate(pattern, { seed: pattern, count: 4000 }))
+        counts.set(x, (counts.get(x) ?? 0) + 1);
+    return counts;
+}
+
+test("weighted set items are chosen in proportion", () => {
+    const counts = frequencies("[a:3b]");
+    assert.ok(Math.abs(counts.get("a") / 4000 - 0.75) < 0.03, String(counts.get("a")));
+    assert.equal(entropy("[a:3b]").bits.toFixed(3), (-(0.75 * Math.log2(0.75) + 0.25 * Math.log2(0.25))).toFixed(3));
+});
+
+test("weighted group children are chosen in proportion", () => {
+    const counts = frequencies('{"x":1 "y":4}');
+    assert.ok(Math.abs(counts.get("y") / 4000 - 0.8) < 0.03, String(counts.get("y")));
+});
+
+test("an escaped colon stays a literal character", () => {
+    assert.deepEqual([...frequencies("[a\\:1]").keys()].sort(), ["1", ":", "a"]);
+});
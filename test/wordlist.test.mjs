@@ -0,0 +1,13 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { entropy, generate, parse, ParseError } from "../genpass.mjs";
+
+test("bundled EFF lists are available by name", () => {
+    assert.equal(entropy("%eff%").keyspace, 7776n);
+    assert.equal(entropy("%eff-short%").keyspace, 1296n);
+    assert.match(generate('%eff-short%"-"%eff-short%')[0], /^[a-z]{3,5}-[a-z]{3,5}$/);
+});
+
+test("an unknown wordlist is a parse error at the token", () => {
+    assert.throws(() => parse("a%missing%"), err => err instanceof ParseError && err.index === 1);
+});